@@ -87,11 +87,9 @@ setTimeout(async () => {
     // ======================================================================
     console.info('PHASE 3 Start: Start Engine and Navigate');
     // Start the engine and load the initial page
+    // (the route table redirects an empty location to home)
     portfolio.start();
     
-    // Navigate to the home page
-    window.location.hash = 'home';
-    
     console.info('PHASE 3 End: Engine running and navigation initiated');
     
   } catch (error) {
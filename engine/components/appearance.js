@@ -1,4 +1,4 @@
-import { Component, ComponentSchema } from '../core/component.js';
+import { ComponentSchema } from '../core/component.js';
 
 /**
  * Appearance component identifier
@@ -6,47 +6,101 @@ import { Component, ComponentSchema } from '../core/component.js';
  */
 export const APPEARANCE = 'appearance';
 
+// The `styles.display` an appearance had before syncStyles hid it
+const displayBeforeHidden = new WeakMap();
+
+/**
+ * Keep the inline `styles` object (applied by the RenderSystem) in sync
+ * with the appearance properties that map directly to CSS. `display` is
+ * only touched to hide the entity and to restore the caller's value when
+ * it is shown again.
+ * @param {Object} data - Appearance component data
+ */
+function syncStyles(data) {
+  const styles = { ...data.styles };
+
+  if (data.visible === false) {
+    if (!displayBeforeHidden.has(data)) {
+      displayBeforeHidden.set(data, styles.display);
+    }
+    styles.display = 'none';
+  } else if (displayBeforeHidden.has(data)) {
+    styles.display = displayBeforeHidden.get(data) ?? '';
+    displayBeforeHidden.delete(data);
+  }
+
+  styles.opacity = String(data.opacity);
+  styles.zIndex = String(data.layer);
+  data.styles = styles;
+}
+
 /**
  * Schema for the appearance component
  */
 export const appearanceSchema = new ComponentSchema({
-  visible: { 
-    type: 'boolean', 
-    default: true
-  },
-  shape: {
-    type: 'string',
-    default: 'rectangle',
-  },
-  color: {
-    type: 'string',
-    default: '#FFFFFF'
+  properties: {
+    visible: {
+      type: 'boolean',
+      default: true
+    },
+    shape: {
+      type: 'string',
+      default: 'rectangle',
+    },
+    color: {
+      type: 'string',
+      default: '#FFFFFF'
+    },
+    opacity: {
+      type: 'number',
+      default: 1.0
+    },
+    size: {
+      type: 'object',
+      default: { width: 100, height: 100 }
+    },
+    image: {
+      type: 'string',
+      default: null
+    },
+    layer: {
+      type: 'number',
+      default: 0
+    },
+    styles: {
+      type: 'object',
+      default: {}
+    }
   },
-  opacity: {
-    type: 'number',
-    default: 1.0
-  },
-  size: {
-    type: 'object',
-    default: { width: 100, height: 100 }
-  },
-  image: {
-    type: 'string',
-    default: null
-  },
-  layer: {
-    type: 'number',
-    default: 0
-  }
+
+  // Derive the inline styles whenever the appearance is added or changed
+  onAdd: syncStyles,
+  onChange: syncStyles
 });
 
+/**
+ * Register the appearance component with a component manager
+ * @param {Object} componentManager - The component manager
+ */
+export function registerAppearanceComponent(componentManager) {
+  if (componentManager && componentManager.registerSchema) {
+    componentManager.registerSchema(APPEARANCE, appearanceSchema);
+  } else {
+    console.warn('Appearance component: Could not register schema - no component manager provided');
+  }
+}
+
 /**
  * Example usage:
- * 
+ *
  * // Adding an appearance component to an entity
  * world.addComponent(entityId, APPEARANCE, {
  *   shape: 'circle',
  *   color: '#FF0000',
  *   size: { width: 50, height: 50 }
  * });
+ *
+ * // Changing it later: the onChange hook re-derives `styles`
+ * appearance.visible = false;
+ * world.markChanged(entityId, APPEARANCE);
  */
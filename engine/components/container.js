@@ -2,8 +2,8 @@
  * ContainerComponent - Enhanced component for managing child entities
  * 
  * This component turns a regular entity into a container that can hold child entities.
- * It maintains parent-child relationships and provides a way to create "mini worlds"
- * within the ECS architecture.
+ * Parent-child relationships are stored by the World hierarchy (world.setParent),
+ * so destroying a container also destroys every child it holds.
  */
 
 // Re-export from layoutSystem.js for consistency
@@ -12,14 +12,12 @@ export const UI_CONTAINER = 'uiContainer';
 /**
  * Create a container component data object
  * @param {Object} options - Container configuration
- * @param {Array<number>} [options.children=[]] - Initial child entity IDs
  * @param {string} [options.layout='vertical'] - Layout type ('vertical', 'horizontal', 'grid')
  * @param {Object} [options.style={}] - Container-specific styling
  * @returns {Object} Container component data
  */
 export function createContainerComponent(options = {}) {
   return {
-    children: options.children || [],
     layout: options.layout || 'vertical',
     style: options.style || {},
     created: Date.now(),
@@ -43,23 +41,25 @@ export function addChildToContainer(world, containerId, childId) {
     return false;
   }
   
-  // Add child ID if not already present
-  if (!container.children.includes(childId)) {
-    container.children.push(childId);
-    container.updated = Date.now();
-    container.pendingUpdates = true;
-    
-    // Update parent reference on the child if possible
-    // This allows bidirectional traversal of the entity hierarchy
-    const domElement = world.getComponent(childId, 'domElement');
-    if (domElement) {
-      domElement.parentEntityId = containerId;
-    }
-    
-    return true;
+  // Already a child of this container
+  if (world.getParent(childId) === containerId) {
+    return false;
+  }
+  
+  if (!world.setParent(childId, containerId)) {
+    return false;
   }
   
-  return false;
+  container.updated = Date.now();
+  container.pendingUpdates = true;
+  
+  // Keep the DOM element's parent reference for code that reads it directly
+  const domElement = world.getComponent(childId, 'domElement');
+  if (domElement) {
+    domElement.parentEntityId = containerId;
+  }
+  
+  return true;
 }
 
 /**
@@ -70,5 +70,5 @@ export function addChildToContainer(world, containerId, childId) {
  */
 export function getContainerChildren(world, containerId) {
   const container = world.getComponent(containerId, UI_CONTAINER);
-  return container ? [...container.children] : [];
-}
\ No newline at end of file
+  return container ? world.getChildren(containerId) : [];
+}
@@ -2,6 +2,9 @@
  * @fileoverview Content component for ECS
  * 
  * Represents the content of a DOM element.
+ * After changing `value`, call `world.markChanged(entityId, 'content')`
+ * so the RenderSystem picks it up. With `world.setReactive(true)` the
+ * assignment itself is tracked and no call is needed.
  */
 
 /**
@@ -10,8 +13,7 @@
 export const contentSchema = {
   type: 'content',
   properties: {
-    value: { type: 'string', default: '' },
-    needsUpdate: { type: 'boolean', default: true }
+    value: { type: 'string', default: '' }
   }
 };
 
@@ -22,8 +24,7 @@ export const contentSchema = {
  */
 export function createContent(data = {}) {
   return {
-    value: data.value !== undefined ? data.value : '',
-    needsUpdate: data.needsUpdate !== undefined ? data.needsUpdate : true
+    value: data.value !== undefined ? data.value : ''
   };
 }
 
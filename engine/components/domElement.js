@@ -13,6 +13,35 @@ export const domElementSchema = {
     element: { type: 'object', required: true }, // The actual DOM element
     container: { type: 'object', default: null }, // Can be used as a container for other elements
     selector: { type: 'string', default: null } // CSS selector that uniquely identifies this element
+  },
+  
+  /**
+   * Detach the element from the document when the component is removed
+   * (or its entity destroyed), so torn-down entities leave no DOM behind
+   * @param {Object} data - Removed component data
+   */
+  onRemove(data) {
+    if (data?.element && typeof data.element.remove === 'function') {
+      data.element.remove();
+    }
+  },
+  
+  /**
+   * Restore the element from its selector after a World.fromJSON snapshot
+   * (elements themselves are never serialized)
+   * @param {Object} data - Restored component data
+   * @returns {Object} Component data with the element re-bound
+   */
+  deserialize(data) {
+    const element = data.selector && typeof document !== 'undefined'
+      ? document.querySelector(data.selector)
+      : null;
+    
+    return {
+      ...data,
+      element,
+      container: element
+    };
   }
 };
 
@@ -39,7 +39,9 @@ const eventSchema = {
     data: { type: 'object', default: {} },
     processed: { type: 'boolean', default: false },
     timestamp: { type: 'number', default: 0 },
-    sourceEntityId: { type: 'number', default: null }
+    sourceEntityId: { type: 'number', default: null },
+    cancelable: { type: 'boolean', default: false },
+    bubbles: { type: 'boolean', default: false }
   }
 };
 
@@ -51,7 +53,9 @@ const eventListenerSchema = {
   properties: {
     eventType: { type: 'string', required: true },
     callback: { type: 'function', required: true },
-    priority: { type: 'number', default: 0 }
+    priority: { type: 'number', default: 0 },
+    // Entity the listener is attached to (null for global listeners)
+    targetEntityId: { type: 'number', default: null }
   }
 };
 
@@ -76,7 +80,113 @@ const eventNotificationSchema = {
     eventEntityId: { type: 'number', required: true },
     sourceEntityId: { type: 'number', default: null },
     timestamp: { type: 'number', default: 0 },
-    processed: { type: 'boolean', default: false }
+    processed: { type: 'boolean', default: false },
+    defaultPrevented: { type: 'boolean', default: false }
+  }
+};
+
+/**
+ * Catalogue of the events emitted by the engine itself
+ * (registered with the EventSystem's EventRegistry on init)
+ */
+const engineEventDefinitions = {
+  'engine:started': {
+    description: 'The engine finished starting',
+    payload: { timestamp: { type: 'number', required: true } }
+  },
+  'engine:stopped': {
+    description: 'The engine was stopped',
+    payload: { timestamp: { type: 'number', required: true } }
+  },
+  'loop:started': {
+    description: 'The engine loop started running',
+    payload: {
+      timestamp: { type: 'number', required: true },
+      useRAF: { type: 'boolean', required: true },
+      fixedTimeStep: { type: 'number', required: true }
+    }
+  },
+  'loop:stopped': {
+    description: 'The engine loop stopped',
+    payload: { timestamp: { type: 'number', required: true } }
+  },
+  'loop:fixedUpdate': {
+    description: 'A fixed time step update finished',
+    payload: {
+      deltaTime: { type: 'number', required: true },
+      timestamp: { type: 'number', required: true }
+    },
+    // Emitted every frame: keep at most one of them waiting in the queue
+    policy: 'coalesce'
+  },
+  'loop:variableUpdate': {
+    description: 'A variable time step update finished',
+    payload: {
+      deltaTime: { type: 'number', required: true },
+      timestamp: { type: 'number', required: true }
+    },
+    // Emitted every frame: keep at most one of them waiting in the queue
+    policy: 'coalesce'
+  },
+  'page:beforeNavigate': {
+    description: 'Navigation is about to happen (cancelable)',
+    payload: {
+      from: { type: 'string', default: null },
+      to: { type: 'string', required: true },
+      params: { type: 'object', default: {} }
+    }
+  },
+  'page:loaded': {
+    description: 'A page module finished loading',
+    payload: {
+      route: { type: 'string', required: true },
+      page: { type: 'string' },
+      params: { type: 'object', default: {} },
+      entityId: { type: 'number', required: true }
+    }
+  },
+  'page:prefetch': {
+    description: 'A page module should be imported ahead of navigation',
+    payload: { route: { type: 'string', required: true } }
+  },
+  'theme:changed': {
+    description: 'The site theme was changed (shared with other tabs)',
+    payload: { theme: { type: 'string', required: true } }
+  },
+  'devmode:change': {
+    description: 'Developer mode was toggled (shared with other tabs)',
+    payload: { enabled: { type: 'boolean', required: true } }
+  },
+  'header:collapse': {
+    description: 'The site header collapsed',
+    payload: {}
+  },
+  'header:expand': {
+    description: 'The site header expanded',
+    payload: {}
+  },
+  'entity:created': {
+    description: 'An entity was created',
+    payload: { entityId: { type: 'number', required: true } }
+  },
+  'entity:destroyed': {
+    description: 'An entity was destroyed',
+    payload: { entityId: { type: 'number', required: true } }
+  },
+  'component:added': {
+    description: 'A component was added to an entity',
+    payload: {
+      entityId: { type: 'number', required: true },
+      componentType: { type: 'string', required: true },
+      component: { type: 'any' }
+    }
+  },
+  'component:removed': {
+    description: 'A component was removed from an entity',
+    payload: {
+      entityId: { type: 'number', required: true },
+      componentType: { type: 'string', required: true }
+    }
   }
 };
 
@@ -112,6 +222,59 @@ function createEventListenerComponent(eventType, callback, priority = 0) {
   };
 }
 
+// Compiled event patterns (pattern -> RegExp)
+const compiledPatterns = new Map();
+
+/**
+ * Check if an event pattern contains wildcards
+ * @param {string} pattern - Event type or pattern
+ * @returns {boolean} True if the pattern contains `*`
+ */
+function isEventPattern(pattern) {
+  return pattern.includes('*');
+}
+
+/**
+ * Compile an event pattern to a regular expression.
+ * Event types are namespaced with `:`. In a pattern, `*` matches within a
+ * single segment and `**` matches across segments. A pattern that is only
+ * `*` or `**` matches every event type.
+ * @param {string} pattern - Event pattern (e.g. 'page:*', 'entity:**')
+ * @returns {RegExp} Compiled pattern
+ */
+function compileEventPattern(pattern) {
+  let regex = compiledPatterns.get(pattern);
+  if (regex) return regex;
+  
+  if (pattern === '*' || pattern === '**') {
+    regex = /^.*$/;
+  } else {
+    const source = pattern
+      .split('**')
+      .map(part => part
+        .split('*')
+        .map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[^:]*'))
+      .join('.+');
+    regex = new RegExp(`^${source}$`);
+  }
+  
+  compiledPatterns.set(pattern, regex);
+  return regex;
+}
+
+/**
+ * Check if an event type matches an event pattern
+ * @param {string} pattern - Event type or pattern
+ * @param {string} eventType - Concrete event type
+ * @returns {boolean} True if the type matches
+ */
+function matchesEventPattern(pattern, eventType) {
+  if (pattern === eventType) return true;
+  if (!isEventPattern(pattern)) return false;
+  return compileEventPattern(pattern).test(eventType);
+}
+
 /**
  * Register all event components with a component manager
  * @param {Object} componentManager - The component manager
@@ -139,5 +302,9 @@ export {
   eventNotificationSchema,
   createEventComponent,
   createEventListenerComponent,
-  registerEventComponents
+  registerEventComponents,
+  engineEventDefinitions,
+  isEventPattern,
+  compileEventPattern,
+  matchesEventPattern
 };
\ No newline at end of file
@@ -0,0 +1,79 @@
+/**
+ * =====================================================================
+ * Archetype.js - Entity Grouping by Component Signature
+ * =====================================================================
+ *
+ * @fileoverview
+ *
+ * This file implements the Archetype class used by the World to group
+ * entities that share exactly the same set of component types.
+ *
+ * ## Key Responsibilities:
+ * - Hold the set of entities that share one component signature
+ * - Cache transitions to neighbouring archetypes (one type added/removed)
+ * - Provide cheap signature checks for queries
+ *
+ * ## Implementation Notes:
+ * - Queries match archetypes, not entities, so a query only has to be
+ *   re-evaluated when a new archetype is created
+ * - Moving an entity between archetypes is O(1) thanks to the edge cache
+ */
+
+/**
+ * Archetype - A unique combination of component types
+ */
+class Archetype {
+  /**
+   * Create a new archetype
+   * @param {Iterable<string>} componentTypes - Component types of this archetype
+   */
+  constructor(componentTypes = []) {
+    this.types = new Set(componentTypes);
+    this.key = Archetype.createKey(this.types);
+    this.entities = new Set();
+
+    // componentType -> Archetype reached by adding/removing that type
+    this.addEdges = new Map();
+    this.removeEdges = new Map();
+
+    // Queries that match this archetype (kept in sync by the World)
+    this.queries = [];
+  }
+
+  /**
+   * Build the lookup key for a set of component types
+   * @param {Iterable<string>} componentTypes - Component types
+   * @returns {string} Stable key independent of type order
+   */
+  static createKey(componentTypes) {
+    return Array.from(componentTypes).sort().join('|');
+  }
+
+  /**
+   * Check if this archetype contains every given component type
+   * @param {Array<string>} componentTypes - Component types to check
+   * @returns {boolean} True if all types are present
+   */
+  hasAll(componentTypes) {
+    return componentTypes.every(type => this.types.has(type));
+  }
+
+  /**
+   * Check if this archetype contains at least one of the given types
+   * @param {Array<string>} componentTypes - Component types to check
+   * @returns {boolean} True if any type is present
+   */
+  hasAny(componentTypes) {
+    return componentTypes.some(type => this.types.has(type));
+  }
+
+  /**
+   * Get the number of entities in this archetype
+   * @returns {number} Entity count
+   */
+  get size() {
+    return this.entities.size;
+  }
+}
+
+export { Archetype };
@@ -0,0 +1,173 @@
+/**
+ * =====================================================================
+ * CommandBuffer.js - Deferred Structural Changes
+ * =====================================================================
+ *
+ * @fileoverview
+ *
+ * This file implements the CommandBuffer class. Systems that need to
+ * create or destroy entities, or add and remove components, while they
+ * are iterating over a query record the change here instead. The World
+ * applies the recorded commands in order when it is flushed, which the
+ * EngineLoop does after every update phase.
+ *
+ * ## Key Responsibilities:
+ * - Record create / destroy / add / remove operations
+ * - Apply them to the World in the order they were recorded
+ * - Skip commands whose target entity no longer exists at flush time
+ *
+ * ## Example Usage:
+ * ```javascript
+ * world.defer(cmd => cmd
+ *   .destroy(eventEntityId)
+ *   .add(listenerEntityId, 'eventNotification', { ... }));
+ * ```
+ */
+
+/**
+ * CommandBuffer - Queue of structural World changes
+ */
+class CommandBuffer {
+  /**
+   * Create a new command buffer
+   * @param {World} world - World the commands are applied to
+   */
+  constructor(world) {
+    this.world = world;
+    this.commands = [];
+    this.flushing = false;
+  }
+
+  /**
+   * Queue the creation of an entity
+   * @param {Object<string, Object>} [components={}] - Components to add (componentType -> data)
+   * @param {Function} [onCreated] - Called with the new entity ID once created
+   * @returns {CommandBuffer} This buffer for chaining
+   */
+  create(components = {}, onCreated = null) {
+    this.commands.push({ op: 'create', components, onCreated });
+    return this;
+  }
+
+  /**
+   * Queue the destruction of an entity
+   * @param {number} entityId - Entity to destroy
+   * @param {Object} [options] - Options passed to World.destroyEntity
+   * @returns {CommandBuffer} This buffer for chaining
+   */
+  destroy(entityId, options = {}) {
+    this.commands.push({ op: 'destroy', entityId, options });
+    return this;
+  }
+
+  /**
+   * Queue adding a component to an entity
+   * @param {number} entityId - Entity ID
+   * @param {string} componentType - Component type name
+   * @param {Object} [data={}] - Component data
+   * @param {Object} [options] - Options passed to World.addComponent
+   * @returns {CommandBuffer} This buffer for chaining
+   */
+  add(entityId, componentType, data = {}, options = {}) {
+    this.commands.push({ op: 'add', entityId, componentType, data, options });
+    return this;
+  }
+
+  /**
+   * Queue removing a component from an entity
+   * @param {number} entityId - Entity ID
+   * @param {string} componentType - Component type name
+   * @param {Object} [options] - Options passed to World.removeComponent
+   * @returns {CommandBuffer} This buffer for chaining
+   */
+  remove(entityId, componentType, options = {}) {
+    this.commands.push({ op: 'remove', entityId, componentType, options });
+    return this;
+  }
+
+  /**
+   * Number of commands waiting to be applied
+   * @returns {number} Pending command count
+   */
+  get size() {
+    return this.commands.length;
+  }
+
+  /**
+   * Apply all queued commands in order and empty the buffer.
+   * Commands queued while flushing (e.g. from lifecycle hooks) are applied
+   * in the same flush; a flush requested while one is running does nothing.
+   * @returns {number} Number of commands applied
+   */
+  flush() {
+    if (this.flushing) return 0;
+
+    let applied = 0;
+    this.flushing = true;
+
+    try {
+      while (this.commands.length > 0) {
+        const batch = this.commands;
+        this.commands = [];
+
+        for (const command of batch) {
+          try {
+            this._apply(command);
+            applied++;
+          } catch (error) {
+            console.error(`CommandBuffer: Failed to apply "${command.op}" command:`, error);
+          }
+        }
+      }
+    } finally {
+      this.flushing = false;
+    }
+
+    return applied;
+  }
+
+  /**
+   * Discard all queued commands
+   */
+  clear() {
+    this.commands = [];
+  }
+
+  /**
+   * Apply a single command to the world
+   * @param {Object} command - Recorded command
+   * @private
+   */
+  _apply(command) {
+    const { world } = this;
+
+    switch (command.op) {
+      case 'create': {
+        const entityId = world.createEntity();
+        for (const [componentType, data] of Object.entries(command.components)) {
+          world.addComponent(entityId, componentType, data);
+        }
+        if (typeof command.onCreated === 'function') {
+          command.onCreated(entityId);
+        }
+        break;
+      }
+      case 'destroy':
+        world.destroyEntity(command.entityId, command.options);
+        break;
+      case 'add':
+        // The entity may have been destroyed by an earlier command
+        if (world.isAlive(command.entityId)) {
+          world.addComponent(command.entityId, command.componentType, command.data, command.options);
+        }
+        break;
+      case 'remove':
+        if (world.isAlive(command.entityId)) {
+          world.removeComponent(command.entityId, command.componentType, command.options);
+        }
+        break;
+    }
+  }
+}
+
+export { CommandBuffer };
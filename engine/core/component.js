@@ -72,19 +72,107 @@ class ComponentSchema {
    * Create a new component schema
    * @param {Object} schema - Schema definition
    * @param {Object} schema.properties - Property definitions
+   *   (`{ type, default, required }` per property)
    * @param {Array} schema.required - Required property names
+   * @param {Function} [schema.serialize] - Hook turning component data into JSON-safe data
+   * @param {Function} [schema.deserialize] - Hook re-binding data restored from JSON
+   * @param {Function} [schema.onAdd] - Lifecycle hook, called as (data, context) when added
+   * @param {Function} [schema.onRemove] - Lifecycle hook, called as (data, context) after removal
+   * @param {Function} [schema.onChange] - Lifecycle hook, called as (data, context) when marked changed
    */
   constructor(schema = {}) {
     this.properties = schema.properties || {};
-    this.required = schema.required || [];
+    this.required = [...(schema.required || [])];
     this.defaults = {};
     
-    // Extract default values from properties
+    // Optional snapshot hooks (see World.toJSON / World.fromJSON)
+    this.serialize = typeof schema.serialize === 'function' ? schema.serialize : null;
+    this.deserialize = typeof schema.deserialize === 'function' ? schema.deserialize : null;
+    
+    // Optional lifecycle hooks, called synchronously by the World
+    this.onAdd = typeof schema.onAdd === 'function' ? schema.onAdd : null;
+    this.onRemove = typeof schema.onRemove === 'function' ? schema.onRemove : null;
+    this.onChange = typeof schema.onChange === 'function' ? schema.onChange : null;
+    
+    // Extract default values and per-property `required` flags
     for (const [key, prop] of Object.entries(this.properties)) {
       if ('default' in prop) {
         this.defaults[key] = prop.default;
       }
+      if (prop.required === true && !this.required.includes(key)) {
+        this.required.push(key);
+      }
+    }
+  }
+  
+  /**
+   * Fill in missing properties with their default values (in place).
+   * Object and array defaults are copied so components never share them.
+   * @param {Object} data - Component data
+   * @returns {Object} The same data object
+   */
+  applyDefaults(data) {
+    for (const [key, value] of Object.entries(this.defaults)) {
+      if (data[key] !== undefined) continue;
+      
+      if (Array.isArray(value)) {
+        data[key] = [...value];
+      } else if (value !== null && typeof value === 'object') {
+        data[key] = { ...value };
+      } else {
+        data[key] = value;
+      }
+    }
+    
+    return data;
+  }
+  
+  /**
+   * Validate component data without throwing
+   * @param {Object} data - Component data
+   * @returns {Array<string>} Violation messages (empty if valid)
+   */
+  validate(data) {
+    const violations = [];
+    
+    for (const field of this.required) {
+      if (data[field] === undefined) {
+        violations.push(`Missing required field '${field}'`);
+      }
     }
+    
+    for (const [key, value] of Object.entries(data)) {
+      const propDef = this.properties[key];
+      if (!propDef || !propDef.type || value === undefined) continue;
+      
+      // Properties that default to null are nullable
+      if (value === null && propDef.default === null) continue;
+      
+      try {
+        this.validateType(key, value, propDef.type);
+      } catch (error) {
+        violations.push(error.message);
+      }
+    }
+    
+    return violations;
+  }
+  
+  /**
+   * Convert the schema definition to JSON. Hooks are functions and are
+   * not included; pass hook-bearing schemas to World.fromJSON to re-bind them.
+   * @returns {Object} Serializable schema definition
+   */
+  toJSON() {
+    const properties = {};
+    for (const [key, prop] of Object.entries(this.properties)) {
+      properties[key] = { ...prop };
+    }
+    
+    return {
+      properties,
+      required: [...this.required]
+    };
   }
   
   /**
@@ -23,35 +23,54 @@
  */
 
 /**
- * Entity - Lightweight container for components.
- * Each entity has a unique ID and a component mask (a Set) for efficient lookups.
+ * Entity - Lightweight handle for an entity stored in a World.
+ * It holds no state of its own: component lookups go to the World, so a
+ * handle always reflects the entity's current components.
  */
 class Entity {
   /**
-   * Constructs a new Entity with a given unique ID.
+   * Constructs a new Entity handle for a given unique ID.
    * @param {number} id - The unique identifier for the entity.
+   * @param {World} world - The World that stores the entity.
    */
-  constructor(id) {
+  constructor(id, world) {
     this.id = id;
+    this.world = world;
+  }
+  
+  /**
+   * Component data by type name, read from the World
+   * @returns {Map<string, Object>} componentType -> component data
+   */
+  get components() {
+    return new Map(Object.entries(this.world.getAllComponents(this.id)));
   }
   
   /**
    * Determines if the entity has a particular component.
    * @param {string} componentType - The name of the component.
    * @returns {boolean} True if the entity contains the component.
-   /
+   */
   hasComponent(componentType) {
-    return this.componentMask.has(componentType);
+    return this.world.hasComponent(this.id, componentType);
+  }
+  
+  /**
+   * Gets the data of one of the entity's components.
+   * @param {string} componentType - The name of the component.
+   * @returns {Object|null} Component data or null if not attached.
+   */
+  getComponent(componentType) {
+    return this.world.getComponent(this.id, componentType);
   }
   
   /**
    * Returns an array of all component types attached to the entity.
    * @returns {Array<string>} List of component type names.
-   /
+   */
   getComponentTypes() {
-    return Array.from(this.componentMask);
+    return Array.from(this.world.entities.get(this.id)?.componentMask || []);
   }
-  */
 }
 
 export { Entity };
@@ -0,0 +1,191 @@
+/**
+ * =====================================================================
+ * EventRegistry.js - Event Type Catalogue
+ * =====================================================================
+ *
+ * @fileoverview
+ *
+ * This file implements the EventRegistry class. Event types are declared
+ * once with a description and a payload schema, so the shape of every
+ * event the engine emits is documented in one place and can be checked
+ * at runtime.
+ *
+ * ## Key Responsibilities:
+ * - Keep the catalogue of known event types
+ * - Describe each payload with a ComponentSchema
+ * - Validate payloads against their declared schema
+ * - Hold each type's delivery policy (drop, throttle, debounce, coalesce)
+ *
+ * ## Implementation Notes:
+ * - Payload schemas reuse ComponentSchema, so the property definition
+ *   format (`{ type, default, required }`) is the same as for components
+ * - Validation never throws; the EventSystem decides how to report it
+ *
+ * ## Example Usage:
+ * ```javascript
+ * registry.register('page:loaded', {
+ *   description: 'A page module finished loading',
+ *   payload: {
+ *     route: { type: 'string', required: true },
+ *     entityId: { type: 'number', required: true }
+ *   }
+ * });
+ *
+ * registry.register('loop:fixedUpdate', {
+ *   payload: { deltaTime: { type: 'number' } },
+ *   policy: { type: 'throttle', hz: 10 }
+ * });
+ * ```
+ */
+
+import { ComponentSchema } from './component.js';
+
+/**
+ * Delivery policies an event type can declare:
+ * - drop: drop events that arrive while one of the type is still waiting
+ *   to be delivered
+ * - throttle: deliver at most `hz` events per second, dropping the rest
+ * - debounce: deliver only the last event, once none arrived for `wait` ms
+ * - coalesce: merge queued events of the type into one with the latest payload
+ */
+const EVENT_POLICIES = ['drop', 'throttle', 'debounce', 'coalesce'];
+
+/**
+ * EventRegistry - Catalogue of declared event types
+ */
+class EventRegistry {
+  /**
+   * Create a new event registry
+   */
+  constructor() {
+    // eventType -> { type, description, schema, policy }
+    this.events = new Map();
+  }
+
+  /**
+   * Declare an event type
+   * @param {string} type - Event type (e.g. 'page:loaded')
+   * @param {Object} [definition={}] - Event definition
+   * @param {string} [definition.description] - What the event means
+   * @param {Object|ComponentSchema} [definition.payload] - Payload schema, or
+   *   its property definitions
+   * @param {string|Object} [definition.policy] - Delivery policy: a policy
+   *   name, or `{ type, hz }` / `{ type, wait }` for throttle and debounce
+   * @returns {Object} The registered entry
+   */
+  register(type, definition = {}) {
+    if (typeof type !== 'string' || type === '') {
+      throw new TypeError('EventRegistry: Event type must be a non-empty string');
+    }
+
+    if (this.events.has(type)) {
+      console.warn(`EventRegistry: Event type "${type}" is already registered, replacing it`);
+    }
+
+    const { description = '', payload = {} } = definition;
+    const schema = payload instanceof ComponentSchema
+      ? payload
+      : new ComponentSchema({ properties: payload });
+
+    const entry = { ...definition, type, description, schema };
+    delete entry.payload;
+    entry.policy = definition.policy ? this._normalizePolicy(type, definition.policy) : null;
+
+    this.events.set(type, entry);
+    return entry;
+  }
+
+  /**
+   * Remove an event type from the catalogue
+   * @param {string} type - Event type
+   * @returns {boolean} True if it was registered
+   */
+  unregister(type) {
+    return this.events.delete(type);
+  }
+
+  /**
+   * Check if an event type is declared
+   * @param {string} type - Event type
+   * @returns {boolean} True if registered
+   */
+  has(type) {
+    return this.events.has(type);
+  }
+
+  /**
+   * Get the entry for an event type
+   * @param {string} type - Event type
+   * @returns {Object|null} Registered entry, or null
+   */
+  get(type) {
+    return this.events.get(type) || null;
+  }
+
+  /**
+   * Validate a payload against the declared schema
+   * @param {string} type - Event type
+   * @param {Object} payload - Event data
+   * @returns {Array<string>|null} Violation messages (empty if valid), or
+   *   null if the type is not registered
+   */
+  validate(type, payload) {
+    const entry = this.events.get(type);
+    if (!entry) return null;
+
+    if (payload === null || typeof payload !== 'object') {
+      return [`Payload should be an object, got '${payload === null ? 'null' : typeof payload}'`];
+    }
+
+    return entry.schema.validate(payload);
+  }
+
+  /**
+   * Get the delivery policy of an event type
+   * @param {string} type - Event type
+   * @returns {Object|null} Normalized policy ({ type, hz } etc.), or null
+   */
+  getPolicy(type) {
+    return this.events.get(type)?.policy || null;
+  }
+
+  /**
+   * List the catalogue, sorted by event type
+   * @returns {Array<Object>} Serializable entries ({ type, description, payload, policy })
+   */
+  list() {
+    return Array.from(this.events.values())
+      .map(({ type, description, schema, policy }) => ({
+        type,
+        description,
+        payload: schema.toJSON().properties,
+        policy: policy ? { ...policy } : null
+      }))
+      .sort((a, b) => a.type.localeCompare(b.type));
+  }
+
+  /**
+   * Check a policy declaration and convert it to object form
+   * @param {string} type - Event type
+   * @param {string|Object} policy - Policy name or definition
+   * @returns {Object} Normalized policy
+   * @private
+   */
+  _normalizePolicy(type, policy) {
+    const normalized = typeof policy === 'string' ? { type: policy } : { ...policy };
+
+    if (!EVENT_POLICIES.includes(normalized.type)) {
+      throw new Error(`EventRegistry: Unknown policy "${normalized.type}" for "${type}"`);
+    }
+    if (normalized.type === 'throttle' && !(normalized.hz > 0)) {
+      throw new Error(`EventRegistry: Throttle policy for "${type}" needs a positive hz`);
+    }
+    if (normalized.type === 'debounce' && !(normalized.wait >= 0)) {
+      throw new Error(`EventRegistry: Debounce policy for "${type}" needs a wait in ms`);
+    }
+
+    return normalized;
+  }
+}
+
+export { EventRegistry, EVENT_POLICIES };
@@ -0,0 +1,272 @@
+/**
+ * =====================================================================
+ * Query.js - Cached Entity Queries
+ * =====================================================================
+ *
+ * @fileoverview
+ *
+ * This file implements the Query class. A query is created once per
+ * filter by the World and kept up to date incrementally, so systems can
+ * ask for the same set of entities every frame without scanning the
+ * whole world.
+ *
+ * ## Key Responsibilities:
+ * - Track which archetypes match the query filter (all / any / none)
+ * - Cache the resulting entity list between structural changes
+ * - Record entities added, removed and changed since its consumer last read them
+ *
+ * ## Implementation Notes:
+ * - The World registers every new archetype with existing queries and
+ *   marks a query dirty when an entity enters or leaves a matched archetype
+ * - Queries never scan entities; they only walk matched archetypes
+ * - World.query() gives every caller its own tracking query, so each
+ *   consumer sees every change exactly once: read `added`, `removed` and
+ *   `changed` (or call consume()), then resetTracking()
+ *
+ * ## Example Usage:
+ * ```javascript
+ * const query = world.query({ all: ['domElement'], any: ['content', 'appearance'] });
+ *
+ * const { changed } = query.consume();
+ * for (const entityId of changed) {
+ *   // Only entities whose tracked components were marked changed since the last consume()
+ * }
+ * ```
+ */
+
+/**
+ * Query - Live view over entities matching a component filter
+ */
+class Query {
+  /**
+   * Create a new query
+   * @param {Object} filter - Query filter
+   * @param {Array<string>} [filter.all=[]] - Component types an entity must have
+   * @param {Array<string>} [filter.any=[]] - Entity must have at least one of these
+   * @param {Array<string>} [filter.none=[]] - Entity must have none of these
+   * @param {Array<string>} [filter.changed] - Component types whose changes are tracked
+   *   (defaults to the `all` and `any` types)
+   */
+  constructor({ all = [], any = [], none = [], changed } = {}) {
+    this.all = [...all];
+    this.any = [...any];
+    this.none = [...none];
+    this.watched = new Set(changed || [...this.all, ...this.any]);
+    this.key = Query.createKey({ all, any, none, changed });
+    this.archetypes = [];
+
+    // Change tracking since the last read (enabled by World.query)
+    this.tracking = false;
+    this._added = new Set();
+    this._removed = new Set();
+    this._changed = new Set();
+
+    this._cache = [];
+    this._dirty = true;
+  }
+
+  /**
+   * Build the lookup key for a query filter
+   * @param {Object} filter - Query filter ({ all, any, none, changed })
+   * @returns {string} Stable key independent of type order
+   */
+  static createKey({ all = [], any = [], none = [], changed } = {}) {
+    const part = types => [...types].sort().join('|');
+    let key = `all:${part(all)};any:${part(any)};none:${part(none)}`;
+    if (changed) {
+      key += `;changed:${part(changed)}`;
+    }
+    return key;
+  }
+
+  /**
+   * Component types an entity must have (kept for getEntitiesWith callers)
+   * @returns {Array<string>} Required component types
+   */
+  get componentTypes() {
+    return this.all;
+  }
+
+  /**
+   * Check if an archetype satisfies this query
+   * @param {Archetype} archetype - Archetype to test
+   * @returns {boolean} True if the archetype matches
+   */
+  matches(archetype) {
+    if (!archetype.hasAll(this.all)) return false;
+    if (this.any.length > 0 && !archetype.hasAny(this.any)) return false;
+    return !archetype.hasAny(this.none);
+  }
+
+  /**
+   * Track a matching archetype
+   * @param {Archetype} archetype - Archetype that matches this query
+   */
+  addArchetype(archetype) {
+    this.archetypes.push(archetype);
+    archetype.queries.push(this);
+    this._dirty = true;
+  }
+
+  /**
+   * Flag the cached entity list as stale
+   */
+  invalidate() {
+    this._dirty = true;
+  }
+
+  /**
+   * Start recording changes. Entities that already match are reported as
+   * added so the first read sees the full set.
+   */
+  enableTracking() {
+    if (this.tracking) return;
+
+    this.tracking = true;
+    for (const entityId of this.getEntities()) {
+      this._added.add(entityId);
+    }
+  }
+
+  /**
+   * Record an entity entering the query
+   * @param {number} entityId - Entity ID
+   */
+  trackAdded(entityId) {
+    if (!this.tracking) return;
+
+    if (!this._removed.delete(entityId)) {
+      this._added.add(entityId);
+    } else {
+      // Left and re-entered within one frame: report it as changed instead
+      this._changed.add(entityId);
+    }
+  }
+
+  /**
+   * Record an entity leaving the query
+   * @param {number} entityId - Entity ID
+   */
+  trackRemoved(entityId) {
+    if (!this.tracking) return;
+
+    this._changed.delete(entityId);
+    if (!this._added.delete(entityId)) {
+      this._removed.add(entityId);
+    }
+  }
+
+  /**
+   * Record a component change on a matching entity
+   * @param {number} entityId - Entity ID
+   * @param {string} componentType - Component type that changed
+   */
+  trackChanged(entityId, componentType) {
+    if (!this.tracking || !this.watched.has(componentType)) return;
+
+    if (!this._added.has(entityId)) {
+      this._changed.add(entityId);
+    }
+  }
+
+  /**
+   * Clear the change sets, once the consumer has read them
+   */
+  resetTracking() {
+    this._added.clear();
+    this._removed.clear();
+    this._changed.clear();
+  }
+
+  /**
+   * Read the changes recorded since the last read, and reset them
+   * @returns {Object} { added, removed, changed } arrays of entity IDs
+   */
+  consume() {
+    const changes = {
+      added: Array.from(this._added),
+      removed: Array.from(this._removed),
+      changed: Array.from(this._changed)
+    };
+    this.resetTracking();
+    return changes;
+  }
+
+  /**
+   * Detach the query from the archetypes it tracks
+   */
+  dispose() {
+    for (const archetype of this.archetypes) {
+      const index = archetype.queries.indexOf(this);
+      if (index !== -1) archetype.queries.splice(index, 1);
+    }
+    this.archetypes = [];
+    this.tracking = false;
+    this.resetTracking();
+    this._dirty = true;
+  }
+
+  /**
+   * Entities that started matching since the last reset
+   * @returns {Iterator<number>} Entity IDs
+   */
+  get added() {
+    return this._added.values();
+  }
+
+  /**
+   * Entities that stopped matching since the last reset
+   * @returns {Iterator<number>} Entity IDs
+   */
+  get removed() {
+    return this._removed.values();
+  }
+
+  /**
+   * Matching entities whose watched components changed since the last reset
+   * @returns {Iterator<number>} Entity IDs
+   */
+  get changed() {
+    return this._changed.values();
+  }
+
+  /**
+   * Get the matching entity IDs
+   * @returns {Array<number>} Matching entity IDs (a copy, safe to mutate)
+   */
+  getEntities() {
+    if (this._dirty) {
+      this._cache = [];
+      for (const archetype of this.archetypes) {
+        for (const entityId of archetype.entities) {
+          this._cache.push(entityId);
+        }
+      }
+      this._dirty = false;
+    }
+
+    return this._cache.slice();
+  }
+
+  /**
+   * Iterate over all matching entity IDs
+   * @returns {Iterator<number>} Entity IDs
+   */
+  [Symbol.iterator]() {
+    return this.getEntities()[Symbol.iterator]();
+  }
+
+  /**
+   * Get the number of matching entities
+   * @returns {number} Entity count
+   */
+  get size() {
+    let count = 0;
+    for (const archetype of this.archetypes) {
+      count += archetype.size;
+    }
+    return count;
+  }
+}
+
+export { Query };
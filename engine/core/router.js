@@ -0,0 +1,241 @@
+/**
+ * =====================================================================
+ * Router.js - Route Table Matching
+ * =====================================================================
+ *
+ * @fileoverview
+ *
+ * This file implements the Router class used by the PageSystem to turn a
+ * location (`projects/Portfolio_Engine?tab=readme`) into the page module to
+ * load and the parameters to pass it.
+ *
+ * ## Key Responsibilities:
+ * - Match locations against a table of route definitions
+ * - Extract `:param` segments and query string values
+ * - Resolve nested child routes, redirects and the not-found route
+ *
+ * ## Route Definitions:
+ * - `path`: segments separated by `/`; `:name` captures one segment and
+ *   `*` captures the rest of the path (as `params.rest`)
+ * - `page`: page module folder under `pages/`, or a function of the params
+ *   returning it; child routes inherit their parent's page
+ * - `children`: nested routes, matched against what the parent left over
+ * - `redirect`: location to go to instead
+ * - `meta`: free-form data passed along with the match
+ * - The route with `notFound: true` is used when nothing else matches,
+ *   and for paths that cannot be decoded (e.g. a stray `%`)
+ *
+ * ## Example Usage:
+ * ```javascript
+ * const router = new Router([
+ *   { path: '', redirect: 'home' },
+ *   { path: 'home', page: 'home' },
+ *   { path: 'projects', page: 'projects', children: [{ path: ':id' }] },
+ *   { path: '*', page: 'not-found', notFound: true }
+ * ]);
+ *
+ * router.resolve('projects/Portfolio_Engine?tab=readme');
+ * // { path: 'projects/Portfolio_Engine', page: 'projects',
+ * //   params: { id: 'Portfolio_Engine' }, query: { tab: 'readme' }, ... }
+ * ```
+ */
+
+// Guard against redirect loops in the route table
+const MAX_REDIRECTS = 10;
+
+/**
+ * Router - Matches locations against a route table
+ */
+class Router {
+  /**
+   * Create a new router
+   * @param {Array<Object>} [routes=[]] - Route definitions
+   */
+  constructor(routes = []) {
+    this.routes = [];
+    this.notFoundRoute = null;
+
+    for (const route of routes) {
+      this.addRoute(route);
+    }
+  }
+
+  /**
+   * Add a top-level route
+   * @param {Object} route - Route definition
+   */
+  addRoute(route) {
+    const compiled = this._compile(route, null);
+
+    if (route.notFound) {
+      this.notFoundRoute = compiled;
+    } else {
+      this.routes.push(compiled);
+    }
+  }
+
+  /**
+   * Split a location into its path and query
+   * @param {string} location - Location such as 'projects/abc?tab=readme'
+   * @returns {Object} { path, query }
+   */
+  static parse(location = '') {
+    const [rawPath, search = ''] = location.split('?');
+    const path = rawPath.split('/').filter(Boolean).join('/');
+    const query = Object.fromEntries(new URLSearchParams(search));
+
+    return { path, query };
+  }
+
+  /**
+   * Resolve a location to a route match
+   * @param {string} location - Location to resolve (no leading '#')
+   * @returns {Object|null} Match ({ path, page, params, query, route, matched,
+   *   redirectedFrom, notFound }), or null if nothing matches and there is
+   *   no not-found route
+   */
+  resolve(location) {
+    let redirectedFrom = null;
+
+    for (let i = 0; i <= MAX_REDIRECTS; i++) {
+      const { path, query } = Router.parse(location);
+      const segments = this._decodeSegments(path);
+
+      let match = segments ? this._matchRoutes(this.routes, segments, {}, []) : null;
+      let notFound = false;
+
+      if (!match && this.notFoundRoute) {
+        match = this._matchRoutes([this.notFoundRoute], segments ?? path.split('/'), {}, []);
+        notFound = true;
+      }
+      if (!match) return null;
+
+      const { route, params, matched } = match;
+
+      if (route.redirect !== undefined) {
+        redirectedFrom = redirectedFrom ?? path;
+        location = typeof route.redirect === 'function' ? route.redirect(params, query) : route.redirect;
+        continue;
+      }
+
+      const page = typeof route.page === 'function' ? route.page(params, query) : route.page;
+
+      return {
+        path,
+        page,
+        params,
+        query,
+        route,
+        matched,
+        meta: Object.assign({}, ...matched.map(entry => entry.meta)),
+        redirectedFrom,
+        notFound
+      };
+    }
+
+    console.error(`Router: Too many redirects while resolving "${location}"`);
+    return null;
+  }
+
+  /**
+   * Split a path into URI-decoded segments
+   * @param {string} path - Normalized path
+   * @returns {Array<string>|null} Segments, or null if the path is malformed
+   * @private
+   */
+  _decodeSegments(path) {
+    if (path === '') return [];
+
+    try {
+      return path.split('/').map(decodeURIComponent);
+    } catch (error) {
+      if (!(error instanceof URIError)) throw error;
+      console.warn(`Router: Cannot decode "${path}"`);
+      return null;
+    }
+  }
+
+  /**
+   * Compile a route definition
+   * @param {Object} route - Route definition
+   * @param {Object|null} parent - Compiled parent route
+   * @returns {Object} Compiled route
+   * @private
+   */
+  _compile(route, parent) {
+    const path = (route.path || '').split('/').filter(Boolean).join('/');
+    const compiled = {
+      ...route,
+      path,
+      segments: path === '' ? [] : path.split('/'),
+      page: route.page ?? parent?.page,
+      meta: route.meta || {},
+      parent
+    };
+
+    compiled.children = (route.children || []).map(child => this._compile(child, compiled));
+    return compiled;
+  }
+
+  /**
+   * Find the first route (depth-first, in table order) matching the segments
+   * @param {Array<Object>} routes - Compiled routes to try
+   * @param {Array<string>} segments - Remaining path segments
+   * @param {Object} params - Params captured so far
+   * @param {Array<Object>} matched - Parent routes matched so far
+   * @returns {Object|null} { route, params, matched } or null
+   * @private
+   */
+  _matchRoutes(routes, segments, params, matched) {
+    for (const route of routes) {
+      const result = this._matchSegments(route.segments, segments);
+      if (!result) continue;
+
+      const routeParams = { ...params, ...result.params };
+      const chain = [...matched, route];
+
+      if (result.rest.length > 0 || route.children.length > 0) {
+        const child = this._matchRoutes(route.children, result.rest, routeParams, chain);
+        if (child) return child;
+      }
+
+      const routable = route.page !== undefined || route.redirect !== undefined;
+      if (result.rest.length === 0 && routable) {
+        return { route, params: routeParams, matched: chain };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Match a route's segments against the start of a path
+   * @param {Array<string>} pattern - Route segments
+   * @param {Array<string>} segments - Path segments
+   * @returns {Object|null} { params, rest } or null
+   * @private
+   */
+  _matchSegments(pattern, segments) {
+    const params = {};
+
+    for (let i = 0; i < pattern.length; i++) {
+      const part = pattern[i];
+
+      if (part === '*') {
+        params.rest = segments.slice(i).join('/');
+        return { params, rest: [] };
+      }
+      if (i >= segments.length) return null;
+
+      if (part.startsWith(':')) {
+        params[part.slice(1)] = segments[i];
+      } else if (part !== segments[i]) {
+        return null;
+      }
+    }
+
+    return { params, rest: segments.slice(pattern.length) };
+  }
+}
+
+export { Router };
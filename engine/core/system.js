@@ -106,15 +106,29 @@ class System {
     return [];
   }
   
+  /**
+   * Creates a live query with All/Any/None filters and change tracking,
+   * owned by this system (read it with query.consume()).
+   * @param {Object} filter - Query filter ({ all, any, none, changed }).
+   * @returns {Query|null} Live query, or null if no world is assigned.
+   */
+  query(filter) {
+    if (this.world && typeof this.world.query === 'function') {
+      return this.world.query(filter);
+    }
+    return null;
+  }
+  
   /**
    * Emits an event using the world's event system.
    * @param {string} event - The event name.
    * @param {Object} data - Data payload for the event.
+   * @param {Object} [options] - Emit options, e.g. { mode: 'immediate' }.
    */
-  emit(event, data) {
+  emit(event, data, options = {}) {
     const eventSystem = this.world?.getSystem('event');
     if (eventSystem && typeof eventSystem.emit === 'function') {
-      eventSystem.emit(event, data);
+      eventSystem.emit(event, data, null, options);
     }
   }
   
@@ -3,9 +3,104 @@
    * World.js - Simple ECS World Container
    * =====================================================================
    * 
-   * A minimal container for ECS managers and data. This class is designed
-   * to hold references to various managers without implementing logic itself.
+   * The container for ECS managers and data. The World owns the single copy
+   * of entity and component storage; EntityManager and ComponentManager are
+   * thin facades that delegate here, so events and counts always agree.
+   * 
+   * Component storage is archetype based: entities that share the same set
+   * of component types live in the same Archetype, and getEntitiesWith()
+   * answers from cached Query objects instead of scanning every entity.
+   * world.query() creates queries with All/Any/None filters and
+   * `added` / `removed` / `changed` tracking, one per consumer.
+   * 
+   * Entities can form a parent/child hierarchy (setParent, getChildren, ...);
+   * destroying a parent destroys its whole subtree.
+   * 
+   * Entity IDs are generational handles (slot index + generation). Slots of
+   * destroyed entities are recycled, and isStale() tells a handle to a
+   * destroyed entity apart from one that never existed.
+   * 
+   * toJSON() / World.fromJSON() snapshot and restore the whole world.
+   * 
+   * Component lifecycle: schema hooks (onAdd / onRemove / onChange) and
+   * observers registered with observe() are called synchronously.
+   * setReactive(true) makes components self-reporting Proxies.
+   * 
+   * defer() queues create/destroy/add/remove commands that are applied when
+   * the EngineLoop flushes them after each update phase.
+   */
+  
+  import { Archetype } from './archetype.js';
+  import { Query } from './query.js';
+  import { ComponentSchema } from './component.js';
+  import { ComponentError, EngineError } from './error.js';
+  import { CommandBuffer } from './commandBuffer.js';
+  
+  /**
+   * Supported schema validation modes for World.addComponent
+   * - strict: report violations and reject the component (throws ComponentError)
+   * - warn: report violations and add the component anyway
+   * - off: skip validation and defaults entirely
+   */
+  const VALIDATION_MODES = ['strict', 'warn', 'off'];
+  
+  /**
+   * Entity handles pack a slot index and a generation into one number:
+   * id = generation * ENTITY_INDEX_LIMIT + index. Generation 0 handles are
+   * equal to their index, and a recycled slot gets a new, distinct handle.
+   */
+  const ENTITY_INDEX_LIMIT = 2 ** 20;
+  
+  /**
+   * Version of the format produced by World.toJSON
+   */
+  const SNAPSHOT_VERSION = 1;
+  
+  /**
+   * Convert a value to JSON-safe data, dropping what cannot round-trip
+   * (functions, DOM nodes, symbols) and breaking reference cycles.
+   * @param {*} value - Value to convert
+   * @param {WeakSet} seen - Objects on the path from the root to value
+   * @returns {*} Serializable value, or undefined if it should be skipped
    */
+  function toSerializable(value, seen = new WeakSet()) {
+    if (value === null) return null;
+    
+    const type = typeof value;
+    if (type === 'function' || type === 'symbol' || type === 'undefined') return undefined;
+    if (type !== 'object') return Number.isNaN(value) ? null : value;
+    
+    // DOM nodes and windows are bound at runtime, never serialized
+    if (typeof value.nodeType === 'number' || value === value.window) return undefined;
+    
+    // Only the objects on the path from the root are a cycle; an object
+    // that is referenced twice side by side is serialized twice
+    if (seen.has(value)) return undefined;
+    seen.add(value);
+    
+    try {
+      if (Array.isArray(value)) {
+        return value.map(item => {
+          const converted = toSerializable(item, seen);
+          return converted === undefined ? null : converted;
+        });
+      }
+      if (value instanceof Date) return value.toISOString();
+      if (value instanceof Map) return toSerializable(Object.fromEntries(value), seen);
+      if (value instanceof Set) return toSerializable(Array.from(value), seen);
+      
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        const converted = toSerializable(item, seen);
+        if (converted !== undefined) {
+          result[key] = converted;
+        }
+      }
+      return result;
+    } finally {
+      seen.delete(value);
+    }
+  }
   
   /**
    * World - Simple container for ECS elements.
@@ -25,7 +120,34 @@
       this.entities = new Map();
       this.components = new Map();
       this.systems = new Map();
-      this.nextEntityId = 1;
+      
+      // Generational entity handles: slot index -> current generation, plus
+      // the slots freed by destroyEntity that are waiting to be reused
+      this.nextEntityIndex = 1;
+      this.generations = [];
+      this.freeIndices = [];
+      
+      // Archetype storage (signature key -> Archetype) and cached queries
+      this.archetypes = new Map();
+      this.queries = new Map();
+      this.trackingQueries = new Set();
+      this._emptyArchetype = this._getArchetype([]);
+      
+      // Registered component schemas (componentType -> ComponentSchema)
+      this.schemas = new Map();
+      this.validationMode = 'warn';
+      
+      // Component lifecycle observers (componentType -> Set of handler objects)
+      this.observers = new Map();
+      
+      // Opt-in reactive components and per-frame field change tracking
+      this.reactive = false;
+      this.changedFields = new Map(); // entityId -> Map(componentType -> Set(field))
+      this.frame = 0; // Frames ended so far (see endFrame)
+      this._reactiveProxies = new WeakMap(); // component data -> Proxy
+      
+      // Structural changes deferred until the next flush (see defer)
+      this.commandBuffer = new CommandBuffer(this);
       
       // Internal flags to prevent infinite recursion
       this._isCreatingEvent = false;
@@ -44,27 +166,22 @@
       const emitEvent = options.emitEvent !== false;
       const isEventEntity = options.isEventEntity === true;
       
-      const entityId = this.nextEntityId++;
+      const entityId = this._allocateEntityId();
       this.entities.set(entityId, { 
         id: entityId,
-        componentMask: new Set()
+        index: World.getEntityIndex(entityId),
+        generation: World.getEntityGeneration(entityId),
+        componentMask: new Set(),
+        archetype: null,
+        isEventEntity,
+        parent: null,
+        children: new Set()
       });
+      this._setArchetype(this.entities.get(entityId), this._emptyArchetype);
       
-      // Only emit events if:
-      // 1. We're not already in the process of creating an event entity
-      // 2. The caller wants to emit an event
-      // 3. The event system exists
-      if (emitEvent && !this._isCreatingEvent && !isEventEntity && this.getSystem('event')) {
-        // Set flag to prevent recursion
-        this._isCreatingEvent = true;
-        
-        try {
-          // Emit the entity created event
-          this.getSystem('event').emit('entity:created', { entityId });
-        } finally {
-          // Always reset the flag, even if there's an error
-          this._isCreatingEvent = false;
-        }
+      // Event entities never announce themselves (prevents recursion)
+      if (emitEvent && !isEventEntity) {
+        this._emit('entity:created', { entityId });
       }
       
       return entityId;
@@ -72,44 +189,202 @@
 
     /**
      * Destroys an existing entity.
+     * Children are destroyed with their parent unless `cascade` is false,
+     * in which case they are detached and become root entities.
      * @param {number} entityId - ID of the entity to remove.
      * @param {Object} options - Entity destruction options
      * @param {boolean} options.emitEvent - Whether to emit an event (default: true)
+     * @param {boolean} options.cascade - Whether to destroy descendants (default: true)
      * @returns {boolean} True if entity was removed.
      */
     destroyEntity(entityId, options = {}) {
       if (!this.entities.has(entityId)) return false;
 
       const emitEvent = options.emitEvent !== false;
+      const entity = this.entities.get(entityId);
+      
+      // Destroy (or orphan) children first, then detach from the parent
+      for (const childId of Array.from(entity.children)) {
+        if (options.cascade === false) {
+          this.setParent(childId, null);
+        } else {
+          this.destroyEntity(childId, options);
+        }
+      }
+      this.setParent(entityId, null);
       
       // Remove all components for this entity
-      const entity = this.entities.get(entityId);
       for (const componentType of entity.componentMask) {
         const componentMap = this.components.get(componentType);
         if (componentMap) {
+          const data = componentMap.get(entityId);
           componentMap.delete(entityId);
+          this._runHook('onRemove', entityId, componentType, data);
         }
       }
 
-      // Remove the entity
+      // Remove the entity from its archetype and the world, then retire the
+      // handle so stale references can be detected
+      this._setArchetype(entity, null);
       this.entities.delete(entityId);
+      this._releaseEntityId(entityId);
       
-      // Only emit events if not in event creation and caller wants to emit
-      if (emitEvent && !this._isCreatingEvent && this.getSystem('event')) {
-        // Set flag to prevent recursion
-        this._isCreatingEvent = true;
-        
-        try {
-          // Emit the entity destroyed event
-          this.getSystem('event').emit('entity:destroyed', { entityId });
-        } finally {
-          // Always reset the flag, even if there's an error
-          this._isCreatingEvent = false;
+      if (emitEvent) {
+        this._emit('entity:destroyed', { entityId });
+      }
+      
+      return true;
+    }
+
+    /**
+     * Get the slot index of an entity handle
+     * @param {number} entityId - Entity handle
+     * @returns {number} Slot index
+     */
+    static getEntityIndex(entityId) {
+      return entityId % ENTITY_INDEX_LIMIT;
+    }
+    
+    /**
+     * Get the generation of an entity handle
+     * @param {number} entityId - Entity handle
+     * @returns {number} Generation (0 for the first use of a slot)
+     */
+    static getEntityGeneration(entityId) {
+      return Math.floor(entityId / ENTITY_INDEX_LIMIT);
+    }
+    
+    /**
+     * Check if an entity handle refers to a live entity
+     * @param {number} entityId - Entity handle
+     * @returns {boolean} True if the entity exists
+     */
+    isAlive(entityId) {
+      return this.entities.has(entityId);
+    }
+    
+    /**
+     * Check if an entity handle was valid once but its entity has been destroyed
+     * @param {number} entityId - Entity handle
+     * @returns {boolean} True for handles of destroyed entities
+     */
+    isStale(entityId) {
+      if (typeof entityId !== 'number' || this.entities.has(entityId)) return false;
+      
+      const index = World.getEntityIndex(entityId);
+      if (index <= 0 || index >= this.nextEntityIndex) return false;
+      
+      return World.getEntityGeneration(entityId) < (this.generations[index] || 0);
+    }
+    
+    /**
+     * Attach an entity to a parent (or detach it with `null`)
+     * @param {number} childId - Entity to move
+     * @param {number|null} parentId - New parent entity, or null for a root entity
+     * @returns {boolean} True if the hierarchy was updated
+     */
+    setParent(childId, parentId) {
+      const child = this.entities.get(childId);
+      if (!child) {
+        console.warn(`Cannot set parent: ${this._describeMissingEntity(childId)}`);
+        return false;
+      }
+      
+      if (parentId !== null && parentId !== undefined) {
+        if (!this.entities.has(parentId)) {
+          console.warn(`Cannot set parent: ${this._describeMissingEntity(parentId)}`);
+          return false;
         }
+        if (parentId === childId || this.isDescendantOf(parentId, childId)) {
+          console.warn(`Cannot set parent: Entity ${parentId} is a descendant of ${childId}`);
+          return false;
+        }
+      } else {
+        parentId = null;
+      }
+      
+      if (child.parent === parentId) return true;
+      
+      if (child.parent !== null) {
+        this.entities.get(child.parent)?.children.delete(childId);
+      }
+      
+      child.parent = parentId;
+      
+      if (parentId !== null) {
+        this.entities.get(parentId).children.add(childId);
       }
       
       return true;
     }
+    
+    /**
+     * Get the parent of an entity
+     * @param {number} entityId - Entity ID
+     * @returns {number|null} Parent entity ID or null for root entities
+     */
+    getParent(entityId) {
+      return this.entities.get(entityId)?.parent ?? null;
+    }
+    
+    /**
+     * Get the direct children of an entity
+     * @param {number} entityId - Entity ID
+     * @returns {Array<number>} Child entity IDs in insertion order
+     */
+    getChildren(entityId) {
+      const entity = this.entities.get(entityId);
+      return entity ? Array.from(entity.children) : [];
+    }
+    
+    /**
+     * Get all ancestors of an entity, nearest first
+     * @param {number} entityId - Entity ID
+     * @returns {Array<number>} Ancestor entity IDs (parent, grandparent, ...)
+     */
+    getAncestors(entityId) {
+      const ancestors = [];
+      let parentId = this.getParent(entityId);
+      
+      while (parentId !== null) {
+        ancestors.push(parentId);
+        parentId = this.getParent(parentId);
+      }
+      
+      return ancestors;
+    }
+    
+    /**
+     * Get all descendants of an entity (depth-first, pre-order)
+     * @param {number} entityId - Entity ID
+     * @returns {Array<number>} Descendant entity IDs
+     */
+    getDescendants(entityId) {
+      const descendants = [];
+      
+      for (const childId of this.getChildren(entityId)) {
+        descendants.push(childId, ...this.getDescendants(childId));
+      }
+      
+      return descendants;
+    }
+    
+    /**
+     * Check if an entity sits anywhere below another in the hierarchy
+     * @param {number} entityId - Entity to test
+     * @param {number} ancestorId - Potential ancestor
+     * @returns {boolean} True if ancestorId is an ancestor of entityId
+     */
+    isDescendantOf(entityId, ancestorId) {
+      let parentId = this.getParent(entityId);
+      
+      while (parentId !== null) {
+        if (parentId === ancestorId) return true;
+        parentId = this.getParent(parentId);
+      }
+      
+      return false;
+    }
 
     /**
      * Add a system to the world
@@ -131,20 +406,62 @@
       return this.systems.get(name) || null;
     }
     
+    /**
+     * Register a schema for a component type. Every addComponent call for
+     * that type is then validated and has the schema defaults applied.
+     * @param {string} componentType - Component type name
+     * @param {ComponentSchema|Object} schema - Schema instance or definition
+     * @returns {ComponentSchema} The registered schema
+     */
+    registerSchema(componentType, schema = {}) {
+      const componentSchema = schema instanceof ComponentSchema ? schema : new ComponentSchema(schema);
+      this.schemas.set(componentType, componentSchema);
+      return componentSchema;
+    }
+    
+    /**
+     * Get the registered schema for a component type
+     * @param {string} componentType - Component type name
+     * @returns {ComponentSchema|null} Schema or null if none registered
+     */
+    getSchema(componentType) {
+      return this.schemas.get(componentType) || null;
+    }
+    
+    /**
+     * Set how addComponent treats schema violations
+     * @param {string} mode - 'strict', 'warn' or 'off'
+     * @returns {World} This world instance for chaining
+     */
+    setValidationMode(mode) {
+      if (!VALIDATION_MODES.includes(mode)) {
+        console.warn(`World: Unknown validation mode "${mode}", expected one of ${VALIDATION_MODES.join(', ')}`);
+        return this;
+      }
+      
+      this.validationMode = mode;
+      return this;
+    }
+    
     /**
      * Add a component to an entity
      * @param {number} entityId - Entity ID
      * @param {string} componentType - Component type name
      * @param {Object} componentData - Component data
+     * @param {Object} options - Options
+     * @param {boolean} options.emitEvent - Whether to emit `component:added` (default: true)
      * @returns {Object} Component data
      */
-    addComponent(entityId, componentType, componentData = {}) {
+    addComponent(entityId, componentType, componentData = {}, options = {}) {
       // Ensure entity exists
       if (!this.entities.has(entityId)) {
-        console.warn(`Cannot add component: Entity ${entityId} does not exist`);
+        console.warn(`Cannot add component: ${this._describeMissingEntity(entityId)}`);
         return null;
       }
       
+      // Apply schema defaults and check the data against the schema
+      this._validateComponent(entityId, componentType, componentData);
+      
       // Ensure component type map exists
       if (!this.components.has(componentType)) {
         this.components.set(componentType, new Map());
@@ -154,11 +471,85 @@
       const componentMap = this.components.get(componentType);
       componentMap.set(entityId, componentData);
       
-      // Update entity's component mask
+      // Update entity's component mask and move it to its new archetype
+      const entity = this.entities.get(entityId);
+      if (!entity.componentMask.has(componentType)) {
+        entity.componentMask.add(componentType);
+        this._setArchetype(entity, this._getNextArchetype(entity.archetype, componentType, true));
+        this._runHook('onAdd', entityId, componentType, componentData);
+      } else {
+        // Replacing existing data counts as a change
+        this.markChanged(entityId, componentType);
+      }
+      
+      this._notifyComponentChange(entity);
+      if (options.emitEvent !== false && !entity.isEventEntity) {
+        this._emit('component:added', { entityId, componentType, component: componentData });
+      }
+      
+      return this.reactive ? this._getReactiveProxy(entityId, componentType, componentData) : componentData;
+    }
+    
+    /**
+     * Remove a component from an entity
+     * @param {number} entityId - Entity ID
+     * @param {string} componentType - Component type name
+     * @param {Object} options - Options
+     * @param {boolean} options.emitEvent - Whether to emit `component:removed` (default: true)
+     * @returns {boolean} True if the component was removed
+     */
+    removeComponent(entityId, componentType, options = {}) {
+      const entity = this.entities.get(entityId);
+      if (!entity) {
+        if (this.isStale(entityId)) {
+          console.warn(`Cannot remove component: ${this._describeMissingEntity(entityId)}`);
+        }
+        return false;
+      }
+      if (!entity.componentMask.has(componentType)) return false;
+      
+      const componentMap = this.components.get(componentType);
+      const data = componentMap?.get(entityId);
+      componentMap?.delete(entityId);
+      
+      entity.componentMask.delete(componentType);
+      this._setArchetype(entity, this._getNextArchetype(entity.archetype, componentType, false));
+      this._runHook('onRemove', entityId, componentType, data);
+      
+      this._notifyComponentChange(entity);
+      if (options.emitEvent !== false && !entity.isEventEntity) {
+        this._emit('component:removed', { entityId, componentType });
+      }
+      
+      return true;
+    }
+    
+    /**
+     * Get all components attached to an entity
+     * @param {number} entityId - Entity ID
+     * @returns {Object} Map of componentType -> component data
+     */
+    getAllComponents(entityId) {
+      const result = {};
       const entity = this.entities.get(entityId);
-      entity.componentMask.add(componentType);
+      if (!entity) return result;
+      
+      for (const componentType of entity.componentMask) {
+        result[componentType] = this.components.get(componentType).get(entityId);
+      }
       
-      return componentData;
+      return result;
+    }
+    
+    /**
+     * Check if an entity has a component
+     * @param {number} entityId - Entity ID
+     * @param {string} componentType - Component type name
+     * @returns {boolean} True if the entity has the component
+     */
+    hasComponent(entityId, componentType) {
+      const entity = this.entities.get(entityId);
+      return entity ? entity.componentMask.has(componentType) : false;
     }
     
     /**
@@ -171,7 +562,47 @@
       const componentMap = this.components.get(componentType);
       if (!componentMap) return null;
       
-      return componentMap.get(entityId) || null;
+      const component = componentMap.get(entityId) || null;
+      return this.reactive ? this._getReactiveProxy(entityId, componentType, component) : component;
+    }
+    
+    /**
+     * Enable or disable reactive components. In reactive mode getComponent
+     * (and addComponent) return Proxies that call markChanged with the name
+     * of every top-level field that is assigned or deleted, so systems see
+     * the change without a manual dirty flag. Nested objects are not
+     * tracked; call markChanged yourself after mutating them in place.
+     * @param {boolean} enabled - Whether reactive mode should be enabled
+     * @returns {World} This world instance for chaining
+     */
+    setReactive(enabled) {
+      this.reactive = enabled === true;
+      return this;
+    }
+    
+    /**
+     * Get the fields of a component that changed during the current frame
+     * @param {number} entityId - Entity ID
+     * @param {string} componentType - Component type name
+     * @returns {Array<string>} Changed field names (empty if unchanged or unknown)
+     */
+    getChangedFields(entityId, componentType) {
+      const fields = this.changedFields.get(entityId)?.get(componentType);
+      return fields ? Array.from(fields) : [];
+    }
+    
+    /**
+     * Check if a component (or one of its fields) changed during the current frame
+     * @param {number} entityId - Entity ID
+     * @param {string} componentType - Component type name
+     * @param {string} [field] - Specific field to check
+     * @returns {boolean} True if a matching change was recorded
+     */
+    hasChanged(entityId, componentType, field) {
+      const fields = this.changedFields.get(entityId)?.get(componentType);
+      if (!fields) return false;
+      
+      return field === undefined ? true : fields.has(field);
     }
     
     /**
@@ -182,11 +613,443 @@
     getEntitiesWith(...componentTypes) {
       if (componentTypes.length === 0) return [];
       
-      // Find entities with all component types
-      return Array.from(this.entities.keys()).filter(entityId => {
-        const entity = this.entities.get(entityId);
-        return componentTypes.every(type => entity.componentMask.has(type));
-      });
+      return this.getQuery(componentTypes).getEntities();
+    }
+    
+    /**
+     * Get (or create) the cached query for a component signature.
+     * Queries stay up to date as entities gain and lose components.
+     * @param {Array<string>} componentTypes - Component types an entity must have
+     * @returns {Query} Cached query instance
+     */
+    getQuery(componentTypes) {
+      return this._getOrCreateQuery({ all: componentTypes });
+    }
+    
+    /**
+     * Create a live query with All/Any/None filters and change tracking.
+     * Every call returns a new query owned by the caller: its `added`,
+     * `removed` and `changed` sets collect changes until the caller reads
+     * them with consume() (or resets them with resetTracking()).
+     * @param {Object} filter - Query filter
+     * @param {Array<string>} [filter.all] - Component types an entity must have
+     * @param {Array<string>} [filter.any] - Entity must have at least one of these
+     * @param {Array<string>} [filter.none] - Entity must have none of these
+     * @param {Array<string>} [filter.changed] - Component types whose changes are tracked
+     * @returns {Query} Live query exposing `added`, `removed` and `changed`
+     */
+    query(filter = {}) {
+      const query = new Query(filter);
+      for (const archetype of this.archetypes.values()) {
+        if (query.matches(archetype)) {
+          query.addArchetype(archetype);
+        }
+      }
+      this.trackingQueries.add(query);
+      
+      query.enableTracking();
+      return query;
+    }
+    
+    /**
+     * Stop a query created with world.query() from tracking changes
+     * @param {Query} query - Query to release
+     */
+    removeQuery(query) {
+      if (this.trackingQueries.delete(query)) {
+        query.dispose();
+      }
+    }
+    
+    /**
+     * Mark a component as changed so tracking queries report it.
+     * Runs the schema's and observers' `onChange` hooks.
+     * @param {number} entityId - Entity ID
+     * @param {string} componentType - Component type name
+     * @param {Array<string>} [fields] - Names of the fields that changed, if known
+     * @returns {boolean} True if the entity has the component
+     */
+    markChanged(entityId, componentType, fields) {
+      const entity = this.entities.get(entityId);
+      if (!entity || !entity.componentMask.has(componentType)) return false;
+      
+      for (const query of entity.archetype.queries) {
+        query.trackChanged(entityId, componentType);
+      }
+      
+      this._recordChangedFields(entityId, componentType, fields);
+      
+      const data = this.components.get(componentType).get(entityId);
+      this._runHook('onChange', entityId, componentType, data, { fields });
+      
+      return true;
+    }
+    
+    /**
+     * Observe a component type from outside its schema (e.g. from a system).
+     * Handlers run synchronously, after the schema's own hooks.
+     * @param {string} componentType - Component type to observe
+     * @param {Object} handlers - Lifecycle handlers
+     * @param {Function} [handlers.onAdd] - Called as (data, context) when the component is added
+     * @param {Function} [handlers.onRemove] - Called as (data, context) after the component is removed
+     * @param {Function} [handlers.onChange] - Called as (data, context) when the component is marked changed
+     * @returns {Function} Call to stop observing
+     */
+    observe(componentType, handlers = {}) {
+      if (!this.observers.has(componentType)) {
+        this.observers.set(componentType, new Set());
+      }
+      
+      const observers = this.observers.get(componentType);
+      observers.add(handlers);
+      
+      return () => observers.delete(handlers);
+    }
+    
+    /**
+     * Defer structural changes until the next flush, so they are safe to
+     * request while iterating entities or listeners.
+     * @param {Function} [record] - Called with the command buffer, e.g.
+     *   `cmd => cmd.destroy(id).add(otherId, 'type', data)`
+     * @returns {CommandBuffer} The world's command buffer
+     */
+    defer(record) {
+      if (typeof record === 'function') {
+        record(this.commandBuffer);
+      }
+      return this.commandBuffer;
+    }
+    
+    /**
+     * Apply all deferred commands. Called by the EngineLoop after each
+     * update phase; call it directly when driving the world manually.
+     * @returns {number} Number of commands applied
+     */
+    flushCommands() {
+      return this.commandBuffer.flush();
+    }
+    
+    /**
+     * End the current frame: reset per-frame field change tracking
+     * (getChangedFields / hasChanged) and advance the frame counter. Query
+     * change sets are reset by their consumers instead. Called by the
+     * EngineLoop once every system has updated.
+     */
+    endFrame() {
+      this.changedFields.clear();
+      this.frame++;
+    }
+    
+    /**
+     * Look up a cached query by filter, creating it if needed
+     * @param {Object} filter - Query filter ({ all, any, none, changed })
+     * @returns {Query} Cached query instance
+     * @private
+     */
+    _getOrCreateQuery(filter) {
+      const key = Query.createKey(filter);
+      let query = this.queries.get(key);
+      
+      if (!query) {
+        query = new Query(filter);
+        for (const archetype of this.archetypes.values()) {
+          if (query.matches(archetype)) {
+            query.addArchetype(archetype);
+          }
+        }
+        this.queries.set(key, query);
+      }
+      
+      return query;
+    }
+    
+    /**
+     * Apply schema defaults and validate component data against its schema.
+     * Violations are reported through the error system; in strict mode the
+     * component is rejected with a ComponentError.
+     * @param {number} entityId - Entity ID
+     * @param {string} componentType - Component type name
+     * @param {Object} componentData - Component data (defaults applied in place)
+     * @private
+     */
+    _validateComponent(entityId, componentType, componentData) {
+      const schema = this.schemas.get(componentType);
+      if (!schema || this.validationMode === 'off') return;
+      if (componentData === null || typeof componentData !== 'object') return;
+      
+      schema.applyDefaults(componentData);
+      
+      const violations = schema.validate(componentData);
+      if (violations.length === 0) return;
+      
+      const message = `Invalid "${componentType}" component on entity ${entityId}: ${violations.join('; ')}`;
+      const data = { entityId, componentType, violations };
+      
+      const errorSystem = this.getSystem('error');
+      if (errorSystem) {
+        const errorId = errorSystem.createError(message, 'COMPONENT_VALIDATION', 'component', data);
+        errorSystem.handleError(errorId);
+      } else {
+        console.warn(`World: ${message}`);
+      }
+      
+      if (this.validationMode === 'strict') {
+        throw new ComponentError(message, { code: 'COMPONENT_VALIDATION', data });
+      }
+    }
+    
+    /**
+     * Take a free slot (or a fresh one) and build its entity handle
+     * @returns {number} New entity handle
+     * @private
+     */
+    _allocateEntityId() {
+      const index = this.freeIndices.length > 0 ? this.freeIndices.pop() : this.nextEntityIndex++;
+      
+      if (index >= ENTITY_INDEX_LIMIT) {
+        throw new EngineError(`World: Entity limit of ${ENTITY_INDEX_LIMIT - 1} live entities reached`, {
+          code: 'ENTITY_LIMIT',
+          context: 'world'
+        });
+      }
+      
+      const generation = this.generations[index] || 0;
+      return generation * ENTITY_INDEX_LIMIT + index;
+    }
+    
+    /**
+     * Bump the generation of a destroyed entity's slot and free it for reuse
+     * @param {number} entityId - Destroyed entity handle
+     * @private
+     */
+    _releaseEntityId(entityId) {
+      const index = World.getEntityIndex(entityId);
+      this.generations[index] = World.getEntityGeneration(entityId) + 1;
+      this.freeIndices.push(index);
+    }
+    
+    /**
+     * Explain why an entity handle does not resolve
+     * @param {number} entityId - Entity handle
+     * @returns {string} Human-readable description
+     * @private
+     */
+    _describeMissingEntity(entityId) {
+      if (this.isStale(entityId)) {
+        const index = World.getEntityIndex(entityId);
+        const generation = World.getEntityGeneration(entityId);
+        return `entity ${index} generation ${generation} no longer exists (slot is at generation ${this.generations[index]})`;
+      }
+      return `Entity ${entityId} does not exist`;
+    }
+    
+    /**
+     * Remember which fields of a component changed this frame
+     * @param {number} entityId - Entity ID
+     * @param {string} componentType - Component type name
+     * @param {Array<string>} [fields] - Changed field names
+     * @private
+     */
+    _recordChangedFields(entityId, componentType, fields = []) {
+      if (!this.changedFields.has(entityId)) {
+        this.changedFields.set(entityId, new Map());
+      }
+      
+      const byType = this.changedFields.get(entityId);
+      if (!byType.has(componentType)) {
+        byType.set(componentType, new Set());
+      }
+      
+      for (const field of fields) {
+        byType.get(componentType).add(field);
+      }
+    }
+    
+    /**
+     * Wrap component data in a Proxy that reports field writes to markChanged.
+     * Proxies are cached per data object so repeated lookups are identical.
+     * @param {number} entityId - Entity ID
+     * @param {string} componentType - Component type name
+     * @param {Object|null} component - Raw component data
+     * @returns {Object|null} Reactive proxy (or the value itself if not an object)
+     * @private
+     */
+    _getReactiveProxy(entityId, componentType, component) {
+      if (component === null || typeof component !== 'object') return component;
+      
+      let proxy = this._reactiveProxies.get(component);
+      if (!proxy) {
+        const world = this;
+        proxy = new Proxy(component, {
+          set(target, field, value) {
+            const changed = target[field] !== value;
+            target[field] = value;
+            if (changed && typeof field === 'string') {
+              world.markChanged(entityId, componentType, [field]);
+            }
+            return true;
+          },
+          deleteProperty(target, field) {
+            const existed = field in target;
+            delete target[field];
+            if (existed && typeof field === 'string') {
+              world.markChanged(entityId, componentType, [field]);
+            }
+            return true;
+          }
+        });
+        this._reactiveProxies.set(component, proxy);
+      }
+      
+      return proxy;
+    }
+    
+    /**
+     * Run a lifecycle hook on the component's schema and its observers.
+     * Errors are logged so one failing hook cannot break the world update.
+     * @param {string} hook - 'onAdd', 'onRemove' or 'onChange'
+     * @param {number} entityId - Entity ID
+     * @param {string} componentType - Component type name
+     * @param {Object} data - Component data
+     * @param {Object} [extra] - Additional context fields
+     * @private
+     */
+    _runHook(hook, entityId, componentType, data, extra = {}) {
+      const schemaHook = this.schemas.get(componentType)?.[hook];
+      const observers = this.observers.get(componentType);
+      if (!schemaHook && !observers?.size) return;
+      
+      const context = { world: this, entityId, componentType, ...extra };
+      const handlers = [schemaHook, ...(observers ? Array.from(observers, observer => observer[hook]) : [])];
+      
+      for (const handler of handlers) {
+        if (typeof handler !== 'function') continue;
+        try {
+          handler(data, context);
+        } catch (error) {
+          console.error(`World: Error in ${hook} hook for "${componentType}" on entity ${entityId}:`, error);
+        }
+      }
+    }
+    
+    /**
+     * Emit a world-level event through the event system, if one is registered.
+     * Guarded so that events raised while emitting do not recurse.
+     * @param {string} type - Event type
+     * @param {Object} data - Event payload
+     * @private
+     */
+    _emit(type, data) {
+      const eventSystem = this.getSystem('event');
+      if (!eventSystem || this._isCreatingEvent) return;
+      
+      // Set flag to prevent recursion
+      this._isCreatingEvent = true;
+      try {
+        eventSystem.emit(type, data);
+      } finally {
+        // Always reset the flag, even if there's an error
+        this._isCreatingEvent = false;
+      }
+    }
+    
+    /**
+     * Forward a structural change to the component manager's change callback
+     * @param {Object} entity - Entity record
+     * @private
+     */
+    _notifyComponentChange(entity) {
+      if (typeof this.componentManager?.onComponentChange === 'function') {
+        this.componentManager.onComponentChange(entity.id, entity);
+      }
+    }
+    
+    /**
+     * Get or create the archetype for a set of component types
+     * @param {Iterable<string>} componentTypes - Component types
+     * @returns {Archetype} Archetype instance
+     * @private
+     */
+    _getArchetype(componentTypes) {
+      const key = Archetype.createKey(componentTypes);
+      let archetype = this.archetypes.get(key);
+      
+      if (!archetype) {
+        archetype = new Archetype(componentTypes);
+        this.archetypes.set(key, archetype);
+        
+        // Register the new archetype with every query it satisfies
+        for (const query of [...this.queries.values(), ...this.trackingQueries]) {
+          if (query.matches(archetype)) {
+            query.addArchetype(archetype);
+          }
+        }
+      }
+      
+      return archetype;
+    }
+    
+    /**
+     * Find the archetype reached by adding or removing one component type,
+     * caching the transition on the source archetype
+     * @param {Archetype} archetype - Current archetype
+     * @param {string} componentType - Component type being added or removed
+     * @param {boolean} adding - True when adding, false when removing
+     * @returns {Archetype} Target archetype
+     * @private
+     */
+    _getNextArchetype(archetype, componentType, adding) {
+      const edges = adding ? archetype.addEdges : archetype.removeEdges;
+      let next = edges.get(componentType);
+      
+      if (!next) {
+        const types = new Set(archetype.types);
+        if (adding) {
+          types.add(componentType);
+        } else {
+          types.delete(componentType);
+        }
+        next = this._getArchetype(types);
+        edges.set(componentType, next);
+      }
+      
+      return next;
+    }
+    
+    /**
+     * Move an entity record into another archetype (or out of all of them)
+     * @param {Object} entity - Entity record
+     * @param {Archetype|null} archetype - Target archetype, null to detach
+     * @private
+     */
+    _setArchetype(entity, archetype) {
+      const previous = entity.archetype;
+      if (previous === archetype) return;
+      
+      const previousQueries = previous ? previous.queries : [];
+      const nextQueries = archetype ? archetype.queries : [];
+      
+      if (previous) {
+        previous.entities.delete(entity.id);
+        for (const query of previousQueries) {
+          query.invalidate();
+          if (!nextQueries.includes(query)) {
+            query.trackRemoved(entity.id);
+          }
+        }
+      }
+      
+      entity.archetype = archetype;
+      
+      if (archetype) {
+        archetype.entities.add(entity.id);
+        for (const query of nextQueries) {
+          query.invalidate();
+          if (!previousQueries.includes(query)) {
+            query.trackAdded(entity.id);
+          }
+        }
+      }
     }
 
     /**
@@ -197,6 +1060,131 @@
       return Array.from(this.entities.keys());
     }
 
+    /**
+     * Serialize the world to a JSON-safe snapshot of entities, components,
+     * hierarchy and registered schemas. Functions and DOM elements are
+     * skipped unless a schema `serialize` hook converts them.
+     * @param {Object} options - Snapshot options
+     * @param {boolean} options.includeEventEntities - Keep transient event entities (default: false)
+     * @returns {Object} Snapshot object, suitable for JSON.stringify
+     */
+    toJSON(options = {}) {
+      const includeEventEntities = options.includeEventEntities === true;
+      const generations = [...this.generations];
+      const freeIndices = [...this.freeIndices];
+      const entities = [];
+      
+      for (const entity of this.entities.values()) {
+        // Skipped entities are recorded as destroyed so their slots stay retired
+        if (entity.isEventEntity && !includeEventEntities) {
+          generations[entity.index] = entity.generation + 1;
+          freeIndices.push(entity.index);
+          continue;
+        }
+        
+        const components = {};
+        for (const componentType of entity.componentMask) {
+          const data = this.components.get(componentType).get(entity.id);
+          const schema = this.schemas.get(componentType);
+          const raw = schema?.serialize ? schema.serialize(data, { world: this, entityId: entity.id }) : data;
+          const serialized = toSerializable(raw);
+          if (serialized !== undefined) {
+            components[componentType] = serialized;
+          }
+        }
+        
+        entities.push({
+          id: entity.id,
+          parent: entity.parent,
+          isEventEntity: entity.isEventEntity || undefined,
+          components
+        });
+      }
+      
+      const schemas = {};
+      for (const [componentType, schema] of this.schemas) {
+        schemas[componentType] = toSerializable(schema.toJSON());
+      }
+      
+      return {
+        version: SNAPSHOT_VERSION,
+        nextEntityIndex: this.nextEntityIndex,
+        generations: generations.map(generation => generation || 0),
+        freeIndices,
+        validationMode: this.validationMode,
+        schemas,
+        entities
+      };
+    }
+    
+    /**
+     * Restore a world from a snapshot created by toJSON.
+     * Entity IDs, hierarchy and schemas are preserved. Schemas passed in
+     * `options.schemas` replace the serialized ones, which re-binds their
+     * `deserialize` hooks (e.g. to look DOM elements up again).
+     * @param {Object|string} json - Snapshot object or JSON string
+     * @param {Object} options - Restore options
+     * @param {Object<string, ComponentSchema|Object>} options.schemas - Schemas to register before restoring
+     * @returns {World} New world populated from the snapshot
+     */
+    static fromJSON(json, options = {}) {
+      const snapshot = typeof json === 'string' ? JSON.parse(json) : json;
+      if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+        throw new EngineError(`World: Unsupported snapshot version ${snapshot?.version}`, {
+          code: 'SNAPSHOT_VERSION',
+          context: 'world'
+        });
+      }
+      
+      const world = new World();
+      
+      for (const [componentType, schema] of Object.entries(snapshot.schemas || {})) {
+        world.registerSchema(componentType, schema);
+      }
+      for (const [componentType, schema] of Object.entries(options.schemas || {})) {
+        world.registerSchema(componentType, schema);
+      }
+      
+      world.nextEntityIndex = snapshot.nextEntityIndex;
+      world.generations = [...snapshot.generations];
+      world.freeIndices = [...snapshot.freeIndices];
+      
+      // Recreate entity records first so parents exist before children attach
+      for (const { id, isEventEntity } of snapshot.entities) {
+        world.entities.set(id, {
+          id,
+          index: World.getEntityIndex(id),
+          generation: World.getEntityGeneration(id),
+          componentMask: new Set(),
+          archetype: null,
+          isEventEntity: isEventEntity === true,
+          parent: null,
+          children: new Set()
+        });
+        world._setArchetype(world.entities.get(id), world._emptyArchetype);
+      }
+      
+      for (const { id, parent } of snapshot.entities) {
+        if (parent !== null && parent !== undefined) {
+          world.setParent(id, parent);
+        }
+      }
+      
+      // Snapshot data already has defaults applied and may lack runtime-only
+      // fields (DOM elements), so restore without re-validating
+      world.validationMode = 'off';
+      for (const { id, components } of snapshot.entities) {
+        for (const [componentType, data] of Object.entries(components)) {
+          const schema = world.schemas.get(componentType);
+          const restored = schema?.deserialize ? schema.deserialize(data, { world, entityId: id }) : data;
+          world.addComponent(id, componentType, restored ?? data, { emitEvent: false });
+        }
+      }
+      world.validationMode = snapshot.validationMode || 'warn';
+      
+      return world;
+    }
+    
     /**
      * Clean up the world
      */
@@ -210,9 +1198,18 @@
       this.entities.clear();
       this.components.clear();
       this.systems.clear();
+      this.archetypes.clear();
+      this.queries.clear();
+      this.trackingQueries.clear();
+      this.schemas.clear();
+      this.observers.clear();
+      this.commandBuffer.clear();
+      
+      // Entities created after destroy() still need a registered archetype
+      this._emptyArchetype = this._getArchetype([]);
       
       console.log('World: Destroyed');
     }
   }
   
-  export { World };
+  export { World, toSerializable };
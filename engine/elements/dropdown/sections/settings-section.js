@@ -50,6 +50,9 @@ const settingsSection = {
 					const theme = e.target.checked ? 'dark' : 'light';
 					document.documentElement.setAttribute('data-theme', theme);
 					localStorage.setItem('portfolioTheme', theme);
+					document.dispatchEvent(new CustomEvent('theme:changed', { 
+						detail: { theme } 
+					}));
 				});
 			}
 			
@@ -393,6 +393,8 @@ class Header {
     // Initialize navbar
     if (this.navContainer) {
       try {
+        // Only one navbar listens for route changes at a time
+        this.modules.get('navbar')?.destroy();
         const navbar = new Navbar({ container: this.navContainer });
         await navbar.init();
         this.modules.set('navbar', navbar);
@@ -577,6 +579,8 @@ class Header {
     const navContainer = this.moduleContainers.get('navbar') || this.container.querySelector('#header-nav-container');
     if (navContainer) {
       try {
+        // Only one navbar listens for route changes at a time
+        this.modules.get('navbar')?.destroy();
         const navbar = new Navbar({ container: navContainer });
         await navbar.init();
         this.modules.set('navbar', navbar);
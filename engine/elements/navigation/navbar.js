@@ -1,10 +1,18 @@
 /**
  * Simple Navbar implementation
+ * 
+ * Page modules behind the nav items are prefetched (via `page:prefetch`)
+ * when a link is hovered or focused, and, with `prefetch: 'idle'`, once the
+ * browser is idle. Set `prefetch: 'none'` or `prefetch: false` on an item
+ * to turn it off. The PageSystem knows which modules it still has cached,
+ * so a request for one of them costs nothing.
  */
+
 class Navbar {
   constructor(options = {}) {
     this.options = Object.assign({
       container: null,
+      prefetch: 'idle', // 'idle' (hover and idle), 'hover' or 'none'
       items: [
         { text: 'About', route: 'about' },
         { text: 'Projects', route: 'projects' },
@@ -14,6 +22,15 @@ class Navbar {
     }, options);
     
     this.container = this.options.container;
+    
+    // Route of the loaded page, as reported by page:loaded
+    this.currentRoute = null;
+    
+    // Pending idle prefetch callback, cancelled by destroy()
+    this.idleHandle = null;
+    
+    this._updateActiveLink = this._updateActiveLink.bind(this);
+    this._handlePageLoaded = this._handlePageLoaded.bind(this);
   }
   
   /**
@@ -28,9 +45,28 @@ class Navbar {
     // Create the navigation links
     this._createNavLinks();
     
+    // Listen for hash changes to update active state
+    window.addEventListener('hashchange', this._updateActiveLink);
+    
+    // page:loaded also covers history mode, where the hash does not change
+    document.addEventListener('page:loaded', this._handlePageLoaded);
+    
     return this;
   }
   
+  /**
+   * Remove the navbar's listeners and stop idle prefetching
+   */
+  destroy() {
+    window.removeEventListener('hashchange', this._updateActiveLink);
+    document.removeEventListener('page:loaded', this._handlePageLoaded);
+    
+    if (this.idleHandle !== null) {
+      (window.cancelIdleCallback || clearTimeout)(this.idleHandle);
+      this.idleHandle = null;
+    }
+  }
+  
   /**
    * Create navigation links
    * @private
@@ -47,16 +83,63 @@ class Navbar {
       link.className = 'nav-link';
       
       // Mark active if current route matches
-      const currentRoute = window.location.hash.substring(1) || 'home';
-      if (currentRoute === item.route) {
+      if (this._isActiveRoute(item.route)) {
         link.classList.add('active');
       }
       
+      if (this.options.prefetch !== 'none' && item.prefetch !== false) {
+        link.addEventListener('pointerenter', () => this._prefetch(item.route));
+        link.addEventListener('focus', () => this._prefetch(item.route));
+      }
+      
       this.container.appendChild(link);
     });
     
-    // Listen for hash changes to update active state
-    window.addEventListener('hashchange', this._updateActiveLink.bind(this));
+    if (this.options.prefetch === 'idle') {
+      this._prefetchWhenIdle();
+    }
+  }
+  
+  /**
+   * Mark the link of the page that was loaded
+   * @param {CustomEvent} event - page:loaded DOM event
+   * @private
+   */
+  _handlePageLoaded(event) {
+    this.currentRoute = event.detail?.route ?? null;
+    this._updateActiveLink();
+  }
+  
+  /**
+   * Ask the PageSystem to import a route's page module ahead of navigation
+   * @param {string} route - Nav item route
+   * @private
+   */
+  _prefetch(route) {
+    document.dispatchEvent(new CustomEvent('page:prefetch', {
+      detail: { route }
+    }));
+  }
+  
+  /**
+   * Prefetch all nav item pages, one per idle period
+   * @private
+   */
+  _prefetchWhenIdle() {
+    const routes = this.options.items
+      .filter(item => item.prefetch !== false)
+      .map(item => item.route);
+    const whenIdle = window.requestIdleCallback || (callback => setTimeout(callback, 200));
+    
+    const next = () => {
+      this.idleHandle = null;
+      const route = routes.shift();
+      if (route === undefined) return;
+      
+      this._prefetch(route);
+      this.idleHandle = whenIdle(next);
+    };
+    this.idleHandle = whenIdle(next);
   }
   
   /**
@@ -64,19 +147,25 @@ class Navbar {
    * @private
    */
   _updateActiveLink() {
-    const currentRoute = window.location.hash.substring(1) || 'home';
-    
     // Update all links
     const links = this.container.querySelectorAll('.nav-link');
     links.forEach(link => {
       const route = link.getAttribute('href').substring(1);
-      if (route === currentRoute) {
-        link.classList.add('active');
-      } else {
-        link.classList.remove('active');
-      }
+      link.classList.toggle('active', this._isActiveRoute(route));
     });
   }
+  
+  /**
+   * Check if a nav route is the current route or a parent of it
+   * (e.g. 'projects' for '#projects/Portfolio_Engine')
+   * @param {string} route - Nav item route
+   * @returns {boolean} True if the link should be marked active
+   * @private
+   */
+  _isActiveRoute(route) {
+    const currentRoute = this.currentRoute ?? (window.location.hash.substring(1).split('?')[0] || 'home');
+    return currentRoute === route || currentRoute.startsWith(`${route}/`);
+  }
 }
 
 export { Navbar };
\ No newline at end of file
@@ -80,6 +80,7 @@ const themeSelector = {
   _changeTheme(theme) {
     document.documentElement.setAttribute('data-theme', theme);
     localStorage.setItem('portfolioTheme', theme);
+    document.dispatchEvent(new CustomEvent('theme:changed', { detail: { theme } }));
   }
 };
 
@@ -87,7 +87,7 @@ class EngineLoop {
         timestamp: performance.now(),
         useRAF: this.useRAF,
         fixedTimeStep: this.fixedTimeStep
-      });
+      }, null, { mode: 'immediate' });
     }
   }
   
@@ -116,10 +116,14 @@ class EngineLoop {
     
     // Emit stop event if event system exists
     if (this.world.getSystem('event')) {
+      // The loop will not update the event system again, so deliver now
       this.world.getSystem('event').emit('loop:stopped', {
         timestamp: performance.now()
-      });
+      }, null, { mode: 'immediate' });
     }
+    
+    // Nothing flushes the command buffer while the loop is stopped
+    this._flushCommands();
   }
   
   /**
@@ -213,6 +217,11 @@ class EngineLoop {
     this._variableUpdate(deltaTime);
     this.stats.renderTime = performance.now() - startRender;
     
+    // Close the frame so per-frame field change tracking starts fresh next frame
+    if (typeof this.world.endFrame === 'function') {
+      this.world.endFrame();
+    }
+    
     // Update overall frame stats
     this.stats.frameTime = performance.now() - startFrame;
     this.stats.idleTime = this.useRAF ? 0 : Math.max(0, this.fixedTimeStep - this.stats.frameTime);
@@ -230,6 +239,7 @@ class EngineLoop {
     
     // Update each system that needs fixed time step updates
     this._updateSystems('fixed', deltaSeconds);
+    this._flushCommands();
     
     // Also emit fixed update event if event system exists
     if (this.world.getSystem('event')) {
@@ -251,6 +261,7 @@ class EngineLoop {
     
     // Update each system that needs variable time step updates
     this._updateSystems('variable', deltaSeconds);
+    this._flushCommands();
     
     // Also emit variable update event if event system exists
     if (this.world.getSystem('event')) {
@@ -261,6 +272,16 @@ class EngineLoop {
     }
   }
   
+  /**
+   * Apply structural changes systems deferred during the update phase
+   * @private
+   */
+  _flushCommands() {
+    if (typeof this.world.flushCommands === 'function') {
+      this.world.flushCommands();
+    }
+  }
+  
   /**
    * Update all systems of a specific type
    * @param {string} updateType - Type of update ('fixed' or 'variable')
@@ -10,10 +10,15 @@
  * 
  * It extends the base Manager class to maintain consistent interfaces 
  * across all managers in the engine.
+ * 
+ * Component data and schemas are stored by the World. This manager
+ * delegates to it, so components added here or through
+ * world.addComponent() end up in the same place, go through the same
+ * schema validation and emit the same `component:added` /
+ * `component:removed` events.
  */
 
 import { Manager } from '../core/manager.js';
-import { Component, ComponentSchema } from '../core/component.js';
 
 /**
  * ComponentManager - Manages component lifecycle and access
@@ -29,19 +34,24 @@ class ComponentManager extends Manager {
     // Initialize base Manager class
     super({ world });
     
-    // Component manager properties
-    this.components = new Map(); // componentType -> Map(entityId -> component)
-    this._componentSchemas = new Map(); // componentType -> ComponentSchema
-    
-    // Reference to dependencies
-    this.entityManager = world?.entityManager;
-    //this._events = world?.eventBus;
-    
-    // Optional callback when components change
+    // Optional callback when components change (invoked by the World for every entry point)
     this.onComponentChange = null;
-    
-    // Example implementation for component schema registration
-    this.schemas = new Map();
+  }
+  
+  /**
+   * Registered schemas, shared with the World (componentType -> ComponentSchema)
+   * @returns {Map<string, ComponentSchema>} Schema registry
+   */
+  get schemas() {
+    return this.world.schemas;
+  }
+  
+  /**
+   * Component storage, shared with the World (componentType -> Map(entityId -> component))
+   * @returns {Map<string, Map<number, Object>>} Component storage
+   */
+  get components() {
+    return this.world.components;
   }
   
   /**
@@ -62,17 +72,18 @@ class ComponentManager extends Manager {
    * @returns {ComponentManager} This manager for chaining
    */
   registerComponent(componentType, schema = {}) {
-    if (this._componentSchemas.has(componentType)) {
+    if (this.world.schemas.has(componentType)) {
       console.warn(`ComponentManager: Component "${componentType}" already registered`);
       return this;
     }
     
     // Create schema
-    const componentSchema = new ComponentSchema(schema);
-    this._componentSchemas.set(componentType, componentSchema);
+    this.world.registerSchema(componentType, schema);
     
     // Create storage for this component type
-    this.components.set(componentType, new Map());
+    if (!this.components.has(componentType)) {
+      this.components.set(componentType, new Map());
+    }
     
     console.log(`ComponentManager: Registered component "${componentType}"`);
     return this;
@@ -84,7 +95,7 @@ class ComponentManager extends Manager {
    * @returns {boolean} True if registered
    */
   hasComponentType(componentType) {
-    return this._componentSchemas.has(componentType);
+    return this.world.schemas.has(componentType);
   }
   
   /**
@@ -93,7 +104,7 @@ class ComponentManager extends Manager {
    * @returns {ComponentSchema|null} The schema or null
    */
   getComponentSchema(componentType) {
-    return this._componentSchemas.get(componentType) || null;
+    return this.world.getSchema(componentType);
   }
   
   /**
@@ -101,56 +112,16 @@ class ComponentManager extends Manager {
    * @param {number} entityId - The entity ID
    * @param {string} componentType - The component type
    * @param {Object} componentData - The component data
-   * @returns {Component} The created component
+   * @returns {Object} The stored component data
    */
   addComponent(entityId, componentType, componentData = {}) {
     // Check if entity exists
-    const entity = this.entityManager.getEntity(entityId);
-    if (!entity) {
+    if (!this.world.entities.has(entityId)) {
       throw new Error(`Cannot add component to non-existent entity ${entityId}`);
     }
     
-    // Get component storage for this type
-    const componentMap = this.components.get(componentType);
-    if (!componentMap) {
-      // Auto-register component type if not registered
-      this.registerComponent(componentType);
-    }
-    
-    // Create component
-    let component;
-    
-    // Use schema validation if available
-    const schema = this._componentSchemas.get(componentType);
-    if (schema) {
-      component = schema.createComponent(componentData);
-    }
-    // Create without validation
-    else {
-      component = new Component(componentData);
-    }
-    
-    // Store component
-    this.components.get(componentType).set(entityId, component);
-    
-    // Update entity's component mask
-    entity.componentMask.add(componentType);
-    
-    // Notify about component change
-    if (this.onComponentChange) {
-      this.onComponentChange(entityId, entity);
-    }
-    
-    // Emit component added event
-    if (this._events) {
-      this._events.emit('component:added', { 
-        entityId, 
-        componentType, 
-        component 
-      });
-    }
-    
-    return component;
+    // The World applies schema defaults and validation
+    return this.world.addComponent(entityId, componentType, componentData);
   }
   
   /**
@@ -160,10 +131,7 @@ class ComponentManager extends Manager {
    * @returns {Component|null} The component or null if not found
    */
   getComponent(entityId, componentType) {
-    const componentMap = this.components.get(componentType);
-    if (!componentMap) return null;
-    
-    return componentMap.get(entityId) || null;
+    return this.world.getComponent(entityId, componentType);
   }
   
   /**
@@ -173,32 +141,7 @@ class ComponentManager extends Manager {
    * @returns {boolean} True if component was removed
    */
   removeComponent(entityId, componentType) {
-    const entity = this.entityManager.getEntity(entityId);
-    if (!entity) return false;
-    
-    const componentMap = this.components.get(componentType);
-    if (!componentMap || !componentMap.has(entityId)) return false;
-    
-    // Remove from storage
-    componentMap.delete(entityId);
-    
-    // Update entity's component mask
-    entity.componentMask.delete(componentType);
-    
-    // Notify about component change
-    if (this.onComponentChange) {
-      this.onComponentChange(entityId, entity);
-    }
-    
-    // Emit component removed event
-    if (this._events) {
-      this._events.emit('component:removed', { 
-        entityId, 
-        componentType 
-      });
-    }
-    
-    return true;
+    return this.world.removeComponent(entityId, componentType);
   }
   
   /**
@@ -208,10 +151,7 @@ class ComponentManager extends Manager {
    * @returns {boolean} True if entity has component
    */
   hasComponent(entityId, componentType) {
-    const componentMap = this.components.get(componentType);
-    if (!componentMap) return false;
-    
-    return componentMap.has(entityId);
+    return this.world.hasComponent(entityId, componentType);
   }
   
   /**
@@ -220,10 +160,7 @@ class ComponentManager extends Manager {
    * @returns {Array<number>} Array of entity IDs
    */
   getEntitiesWithComponent(componentType) {
-    const componentMap = this.components.get(componentType);
-    if (!componentMap) return [];
-    
-    return Array.from(componentMap.keys());
+    return this.world.getEntitiesWith(componentType);
   }
   
   /**
@@ -232,28 +169,18 @@ class ComponentManager extends Manager {
    * @returns {Object} Map of componentType -> component
    */
   getAllComponents(entityId) {
-    const result = {};
-    
-    for (const [componentType, componentMap] of this.components.entries()) {
-      const component = componentMap.get(entityId);
-      if (component) {
-        result[componentType] = component;
-      }
-    }
-    
-    return result;
+    return this.world.getAllComponents(entityId);
   }
   
   /**
-   * Reset the manager
+   * Reset the manager, removing every component from every entity
    * @returns {ComponentManager} This manager instance for chaining
    */
   reset() {
-    super.reset();
-    
-    // Clear all components
-    for (const componentMap of this.components.values()) {
-      componentMap.clear();
+    for (const [componentType, componentMap] of this.components.entries()) {
+      for (const entityId of Array.from(componentMap.keys())) {
+        this.world.removeComponent(entityId, componentType, { emitEvent: false });
+      }
     }
     
     return this;
@@ -264,10 +191,8 @@ class ComponentManager extends Manager {
    * @returns {ComponentManager} This manager instance for chaining
    */
   clear() {
-    super.clear();
-    
-    this.components.clear();
-    this._componentSchemas.clear();
+    this.reset();
+    this.world.schemas.clear();
     
     return this;
   }
@@ -278,30 +203,21 @@ class ComponentManager extends Manager {
    * @param {Object} schema - The schema definition
    */
   registerSchema(name, schema) {
-    this.schemas.set(name, schema);
+    this.world.registerSchema(name, schema);
   }
 
   /**
-   * Validate a component against its schema
+   * Validate a component against its schema, applying defaults in place
    * @param {string} name - The component name
    * @param {Object} data - The component data
    * @returns {boolean} True if valid, false otherwise
    */
   validateComponent(name, data) {
-    const schema = this.schemas.get(name);
+    const schema = this.world.getSchema(name);
     if (!schema) return true; // No schema = no validation
     
-    // Validate each property against schema
-    for (const [prop, config] of Object.entries(schema.properties)) {
-      if (data[prop] === undefined) {
-        if (config.required) return false;
-        data[prop] = config.default;
-      } else if (typeof data[prop] !== config.type) {
-        return false;
-      }
-    }
-    
-    return true;
+    schema.applyDefaults(data);
+    return schema.validate(data).length === 0;
   }
 }
 
@@ -11,16 +11,18 @@
  * ## Key Responsibilities:
  * - Create and destroy entities
  * - Track entity lifecycle
- * - Assign and manage entity IDs
  * - Provide entity lookup services
  * 
  * ## Implementation Notes:
- * - Uses a Map for O(1) entity lookup by ID
- * - Manages the entity ID sequence
+ * - Entity storage lives in the World; this manager is a facade over it,
+ *   so entities created here and via world.createEntity() are the same
+ * - Lookups return Entity handles that read their components from the World
+ * - The World assigns generational entity IDs and recycles freed slots
  * 
  * ## Dependencies:
- * - entity.js: Entity class definition
+ * - entity.js: Entity handle
  * - manager.js: Base manager class
+ * - world.js: Owns the entity storage
  * 
  * @author Portfolio Engine Team
  * @lastModified Cycle 1.1.1
@@ -35,26 +37,24 @@ import { Manager } from '../core/manager.js';
  */
 class EntityManager extends Manager {
   /**
-   * Create a new entity manager
-   * @param {Object} options - Manager options
-   * @param {World} options.world - Reference to the world
+   * Handles for every entity in the World (entityId -> Entity)
+   * @returns {Map<number, Entity>} Entity map
    */
-  constructor(options) {
-    super(options);
-    this.entities = new Map(); // entityId -> Entity
-    this.nextEntityId = 1;
+  get entities() {
+    const entities = new Map();
+    for (const entityId of this.world.entities.keys()) {
+      entities.set(entityId, new Entity(entityId, this.world));
+    }
+    return entities;
   }
   
   /**
    * Create a new entity
+   * @param {Object} options - Entity creation options (see World.createEntity)
    * @returns {number} The new entity ID
    */
-  createEntity() {
-    const id = this.nextEntityId++;
-    const entity = new Entity(id);
-    this.entities.set(id, entity);
-  
-    return id;
+  createEntity(options = {}) {
+    return this.world.createEntity(options);
   }
   
   /**
@@ -63,7 +63,7 @@ class EntityManager extends Manager {
    * @returns {Entity|undefined} The entity or undefined if not found
    */
   getEntity(entityId) {
-    return this.entities.get(entityId);
+    return this.world.entities.has(entityId) ? new Entity(entityId, this.world) : undefined;
   }
   
   /**
@@ -72,7 +72,16 @@ class EntityManager extends Manager {
    * @returns {boolean} True if the entity exists
    */
   hasEntity(entityId) {
-    return this.entities.has(entityId);
+    return this.world.entities.has(entityId);
+  }
+  
+  /**
+   * Check if an entity handle belongs to a destroyed entity
+   * @param {number} entityId - Entity ID to check
+   * @returns {boolean} True if the handle is stale
+   */
+  isStale(entityId) {
+    return this.world.isStale(entityId);
   }
   
   /**
@@ -80,7 +89,7 @@ class EntityManager extends Manager {
    * @returns {Array<number>} Array of all entity IDs
    */
   getAllEntityIds() {
-    return Array.from(this.entities.keys());
+    return this.world.getAllEntityIds();
   }
   
   /**
@@ -88,43 +97,26 @@ class EntityManager extends Manager {
    * @returns {number} Entity count
    */
   getEntityCount() {
-    return this.entities.size;
+    return this.world.entities.size;
   }
   
   /**
-   * Destroy an entity (will be fully removed by World)
+   * Destroy an entity and all of its components
    * @param {number} entityId - The entity ID to destroy
-   * @returns {boolean} True if the entity was found and marked for destruction
+   * @param {Object} options - Entity destruction options (see World.destroyEntity)
+   * @returns {boolean} True if the entity was found and destroyed
    */
-  destroyEntity(entityId) {
-    const entity = this.entities.get(entityId);
-    if (!entity) return false;
-    
-    // Emit entity will be destroyed event
-    //this.events.emit('entity:destroying', { entityId });
-    
-    // Remove the entity
-    const result = this.entities.delete(entityId);
-    
-    // Emit entity destroyed event
-    if (result) {
-      //this.events.emit('entity:destroyed', { entityId });
-    }
-    
-    return result;
+  destroyEntity(entityId, options = {}) {
+    return this.world.destroyEntity(entityId, options);
   }
   
   /**
    * Clear all entities
    */
   clear() {
-    // Emit events for each entity being destroyed
-    for (const entityId of this.entities.keys()) {
-      //this.events.emit('entity:destroying', { entityId });
-      //this.events.emit('entity:destroyed', { entityId });
+    for (const entityId of this.world.getAllEntityIds()) {
+      this.world.destroyEntity(entityId, { emitEvent: false });
     }
-    
-    this.entities.clear();
   }
   
   /**
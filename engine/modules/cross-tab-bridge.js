@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Cross-Tab Event Bridge
+ *
+ * Forwards selected EventSystem events to the other open tabs of the site
+ * and re-emits the events they forward here. Uses BroadcastChannel when the
+ * browser has it and falls back to `storage` events otherwise.
+ *
+ * Loop protection: events re-emitted from another tab are never forwarded
+ * again, and every message carries an ID so a message that arrives twice
+ * is only emitted once.
+ *
+ * @example
+ * const bridge = new CrossTabBridge(eventSystem, {
+ *   events: ['theme:changed', 'devmode:change']
+ * });
+ * bridge.connect();
+ */
+import { toSerializable } from '../core/world.js';
+import { matchesEventPattern } from '../components/event.js';
+
+// Number of message IDs remembered for duplicate detection
+const SEEN_MESSAGE_LIMIT = 200;
+
+/**
+ * CrossTabBridge - EventSystem transport between browser tabs
+ */
+export class CrossTabBridge {
+  /**
+   * Create a new cross-tab bridge
+   * @param {EventSystem} eventSystem - Event system to bridge
+   * @param {Object} [options={}] - Bridge options
+   * @param {Array<string>} [options.events=[]] - Event types or patterns to forward
+   * @param {string} [options.channelName='portfolio-engine-events'] - Channel
+   *   name (and localStorage key for the storage fallback)
+   * @param {string} [options.transport] - Force 'broadcast' or 'storage'
+   */
+  constructor(eventSystem, options = {}) {
+    this.eventSystem = eventSystem;
+    this.events = [...(options.events || [])];
+    this.channelName = options.channelName || 'portfolio-engine-events';
+    this.transport = options.transport ||
+      (typeof BroadcastChannel === 'function' ? 'broadcast' : 'storage');
+
+    // Identifies this tab in outgoing messages
+    this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.messageCount = 0;
+
+    // Payloads received from other tabs, so they are not forwarded back
+    this.remotePayloads = new WeakSet();
+    this.seenMessages = new Set();
+
+    this.channel = null;
+    this.isConnected = false;
+
+    this._handleEvent = (data, event) => this._forward(event);
+    this._handleMessage = this._handleMessage.bind(this);
+    this._handleStorage = this._handleStorage.bind(this);
+  }
+
+  /**
+   * Start forwarding and receiving events
+   * @returns {CrossTabBridge} This bridge
+   */
+  connect() {
+    if (this.isConnected) return this;
+
+    if (this.transport === 'broadcast') {
+      this.channel = new BroadcastChannel(this.channelName);
+      this.channel.addEventListener('message', this._handleMessage);
+    } else {
+      window.addEventListener('storage', this._handleStorage);
+    }
+
+    for (const pattern of this.events) {
+      this.eventSystem.on(pattern, this._handleEvent);
+    }
+
+    this.isConnected = true;
+    console.info(`CrossTabBridge: Connected via ${this.transport} (${this.events.join(', ')})`);
+    return this;
+  }
+
+  /**
+   * Stop forwarding and receiving events
+   */
+  disconnect() {
+    if (!this.isConnected) return;
+
+    if (this.channel) {
+      this.channel.removeEventListener('message', this._handleMessage);
+      this.channel.close();
+      this.channel = null;
+    } else {
+      window.removeEventListener('storage', this._handleStorage);
+    }
+
+    for (const pattern of this.events) {
+      this.eventSystem.off(pattern, this._handleEvent);
+    }
+
+    this.isConnected = false;
+    console.info('CrossTabBridge: Disconnected');
+  }
+
+  /**
+   * Send a local event to the other tabs
+   * @param {EngineEvent} event - Event received from the EventSystem
+   * @private
+   */
+  _forward(event) {
+    // Events that came from another tab stop here
+    if (this.remotePayloads.has(event.data)) return;
+
+    const message = {
+      id: `${this.tabId}:${++this.messageCount}`,
+      origin: this.tabId,
+      type: event.type,
+      data: toSerializable(event.data) ?? {},
+      timestamp: Date.now()
+    };
+
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else {
+        // Writing then removing the key fires `storage` in the other tabs
+        localStorage.setItem(this.channelName, JSON.stringify(message));
+        localStorage.removeItem(this.channelName);
+      }
+    } catch (error) {
+      console.warn(`CrossTabBridge: Failed to forward "${event.type}":`, error);
+    }
+  }
+
+  /**
+   * Handle a BroadcastChannel message
+   * @param {MessageEvent} messageEvent - Channel message
+   * @private
+   */
+  _handleMessage(messageEvent) {
+    this._receive(messageEvent.data);
+  }
+
+  /**
+   * Handle a storage event (fallback transport)
+   * @param {StorageEvent} storageEvent - Storage event
+   * @private
+   */
+  _handleStorage(storageEvent) {
+    if (storageEvent.key !== this.channelName || !storageEvent.newValue) return;
+
+    try {
+      this._receive(JSON.parse(storageEvent.newValue));
+    } catch (error) {
+      console.warn('CrossTabBridge: Ignoring malformed message:', error);
+    }
+  }
+
+  /**
+   * Re-emit an event forwarded by another tab
+   * @param {Object} message - Bridge message
+   * @private
+   */
+  _receive(message) {
+    if (!message || typeof message.type !== 'string') return;
+    if (message.origin === this.tabId || this.seenMessages.has(message.id)) return;
+
+    // Only accept the events this bridge is configured for
+    if (!this.events.some(pattern => matchesEventPattern(pattern, message.type))) return;
+
+    this.seenMessages.add(message.id);
+    if (this.seenMessages.size > SEEN_MESSAGE_LIMIT) {
+      this.seenMessages.delete(this.seenMessages.values().next().value);
+    }
+
+    const data = message.data && typeof message.data === 'object' ? message.data : {};
+    this.remotePayloads.add(data);
+
+    this.eventSystem.emit(message.type, data, null, { mode: 'immediate' });
+  }
+}
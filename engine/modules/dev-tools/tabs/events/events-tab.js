@@ -26,6 +26,9 @@ export class EventsTab {
                     <button id="clear-events" ${!engineConnected ? 'disabled' : ''}>
                         🗑️ Clear Events
                     </button>
+                    <button id="export-recording" ${!engineConnected ? 'disabled' : ''}>
+                        💾 Export Recording
+                    </button>
                     <div class="event-filters">
                         <input type="text" id="event-filter" placeholder="Filter events..." 
                                value="${this.filterText}" ${!engineConnected ? 'disabled' : ''}>
@@ -65,6 +68,8 @@ export class EventsTab {
             <div class="events-timeline">
                 ${this._renderTimeline()}
             </div>
+
+            ${this._renderCatalogue()}
         `;
     }
 
@@ -81,6 +86,12 @@ export class EventsTab {
             clearBtn.addEventListener('click', () => this._clearEvents());
         }
 
+        // Export button
+        const exportBtn = document.getElementById('export-recording');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this._exportRecording());
+        }
+
         // Filter input
         const filterInput = document.getElementById('event-filter');
         if (filterInput) {
@@ -184,6 +195,38 @@ export class EventsTab {
         `;
     }
 
+    _renderCatalogue() {
+        const catalogue = this._getEventSystem()?.getEventCatalogue?.() || [];
+        if (catalogue.length === 0) {
+            return '';
+        }
+
+        return `
+            <div class="events-catalogue">
+                <h4>Event Catalogue</h4>
+                <table class="catalogue-table">
+                    <thead>
+                        <tr><th>Event</th><th>Description</th><th>Payload</th></tr>
+                    </thead>
+                    <tbody>
+                        ${catalogue.map(entry => `
+                            <tr>
+                                <td class="event-type">
+                                    ${entry.type}
+                                    ${entry.policy ? `<span class="event-policy">${entry.policy.type}</span>` : ''}
+                                </td>
+                                <td>${entry.description}</td>
+                                <td>${Object.entries(entry.payload).map(([key, prop]) =>
+                                    `<code>${key}${prop.required ? '' : '?'}: ${prop.type || 'any'}</code>`
+                                ).join(' ')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
     _prepareTimelineData() {
         const timeRange = 10000; // 10 seconds window
         const now = Date.now();
@@ -276,6 +319,7 @@ export class EventsTab {
         if (!this._recordingInterval) {
             // Start event collection
             this._setupEventListeners();
+            this._getEventSystem()?.startRecording();
             
             // Update events/sec counter
             this._lastEventCount = this.eventLog.length;
@@ -299,25 +343,48 @@ export class EventsTab {
             clearInterval(this._recordingInterval);
             this._recordingInterval = null;
             this._removeEventListeners();
+            this._getEventSystem()?.stopRecording();
         }
     }
 
+    _exportRecording() {
+        const json = this._getEventSystem()?.exportRecording();
+        if (!json) {
+            console.warn('EventsTab: No recording to export');
+            return;
+        }
+
+        // The file can be replayed with EventSystem.replay()
+        const blob = new Blob([json], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `event-recording-${Date.now()}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    _getEventSystem() {
+        return this.devTools.world?.getSystem?.('event') || null;
+    }
+
     _setupEventListeners() {
-        if (!this.devTools.world) return;
+        const eventSystem = this._getEventSystem();
+        if (!eventSystem) return;
         
-        // Implementation depends on your engine's event system
-        this._eventHandler = (event) => {
+        // Listeners receive the event data and the event object
+        this._eventHandler = (data, event) => {
             this._logEvent(event);
         };
         
-        this.devTools.world.eventSystem.on('*', this._eventHandler);
+        eventSystem.on('*', this._eventHandler);
     }
 
     _removeEventListeners() {
-        if (!this.devTools.world) return;
+        const eventSystem = this._getEventSystem();
+        if (!eventSystem) return;
         
         if (this._eventHandler) {
-            this.devTools.world.eventSystem.off('*', this._eventHandler);
+            eventSystem.off('*', this._eventHandler);
         }
     }
 
@@ -326,8 +393,8 @@ export class EventsTab {
             id: this.eventLog.length + 1,
             type: event.type,
             timestamp: Date.now(),
-            source: event.source,
-            target: event.target,
+            source: event.sourceEntityId,
+            target: event.currentTargetId,
             data: event.data,
             stack: new Error().stack
         };
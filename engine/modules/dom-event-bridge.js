@@ -0,0 +1,168 @@
+/**
+ * @fileoverview DOM Event Bridge
+ *
+ * Connects DOM CustomEvents and EventSystem events from a declarative list
+ * of mappings, so legacy widgets that dispatch on `document` and engine
+ * systems that use EventSystem.emit see the same events.
+ *
+ * Each mapping names a DOM event and, optionally, the engine event it
+ * corresponds to (the same name by default):
+ *
+ * - `direction: 'both'` (default) forwards in both directions
+ * - `direction: 'toEngine'` only emits DOM events into the EventSystem
+ * - `direction: 'toDOM'` only dispatches engine events on the DOM target
+ *
+ * Payloads map `event.detail` to the engine event data and back; supply
+ * `toEngine(domEvent)` / `toDOM(data, engineEvent)` to reshape them. An
+ * event that was forwarded by the bridge is never forwarded back.
+ *
+ * @example
+ * const bridge = new DOMEventBridge(eventSystem, {
+ *   mappings: [
+ *     { dom: 'devmode:change' },
+ *     { dom: 'header:collapse', direction: 'toEngine', toEngine: () => ({}) }
+ *   ]
+ * });
+ * bridge.connect();
+ */
+
+const DIRECTIONS = ['both', 'toEngine', 'toDOM'];
+
+/**
+ * DOMEventBridge - Two-way mapping between DOM and engine events
+ */
+export class DOMEventBridge {
+  /**
+   * Create a new DOM event bridge
+   * @param {EventSystem} eventSystem - Event system to bridge
+   * @param {Object} [options={}] - Bridge options
+   * @param {Array<Object>} [options.mappings=[]] - Event mappings
+   * @param {EventTarget} [options.target=document] - Default DOM target
+   */
+  constructor(eventSystem, options = {}) {
+    this.eventSystem = eventSystem;
+    this.target = options.target || document;
+    this.mappings = (options.mappings || []).map(mapping => this._normalizeMapping(mapping));
+
+    // Objects created by the bridge, so they are not forwarded back
+    this.bridgedPayloads = new WeakSet();
+    this.bridgedDOMEvents = new WeakSet();
+
+    // Registered handlers, kept for disconnect()
+    this.bindings = [];
+    this.isConnected = false;
+  }
+
+  /**
+   * Start forwarding events
+   * @returns {DOMEventBridge} This bridge
+   */
+  connect() {
+    if (this.isConnected) return this;
+
+    for (const mapping of this.mappings) {
+      this._bind(mapping);
+    }
+
+    this.isConnected = true;
+    console.info(`DOMEventBridge: Connected ${this.mappings.length} mappings`);
+    return this;
+  }
+
+  /**
+   * Stop forwarding events
+   */
+  disconnect() {
+    if (!this.isConnected) return;
+
+    for (const { mapping, domHandler, engineHandler } of this.bindings) {
+      if (domHandler) {
+        mapping.target.removeEventListener(mapping.dom, domHandler);
+      }
+      if (engineHandler) {
+        this.eventSystem.off(mapping.engine, engineHandler);
+      }
+    }
+    this.bindings = [];
+
+    this.isConnected = false;
+    console.info('DOMEventBridge: Disconnected');
+  }
+
+  /**
+   * Add a mapping, connecting it right away if the bridge is connected
+   * @param {Object} mapping - Event mapping
+   */
+  addMapping(mapping) {
+    const normalized = this._normalizeMapping(mapping);
+    this.mappings.push(normalized);
+
+    if (this.isConnected) {
+      this._bind(normalized);
+    }
+  }
+
+  /**
+   * Fill in mapping defaults and check it
+   * @param {Object} mapping - Event mapping as configured
+   * @returns {Object} Normalized mapping
+   * @private
+   */
+  _normalizeMapping(mapping) {
+    const { dom, engine = dom, direction = 'both' } = mapping;
+
+    if (typeof dom !== 'string' || typeof engine !== 'string') {
+      throw new TypeError('DOMEventBridge: Mappings need a DOM event type');
+    }
+    if (!DIRECTIONS.includes(direction)) {
+      throw new Error(`DOMEventBridge: Unknown direction "${direction}" for "${dom}"`);
+    }
+
+    return {
+      dom,
+      engine,
+      direction,
+      target: mapping.target || this.target,
+      toEngine: mapping.toEngine || (domEvent => domEvent.detail ?? {}),
+      toDOM: mapping.toDOM || (data => data)
+    };
+  }
+
+  /**
+   * Register the DOM and engine handlers for a mapping
+   * @param {Object} mapping - Normalized mapping
+   * @private
+   */
+  _bind(mapping) {
+    const binding = { mapping, domHandler: null, engineHandler: null };
+
+    if (mapping.direction !== 'toDOM') {
+      binding.domHandler = (domEvent) => {
+        if (this.bridgedDOMEvents.has(domEvent)) return;
+
+        const data = mapping.toEngine(domEvent);
+        if (data && typeof data === 'object') {
+          this.bridgedPayloads.add(data);
+        }
+        this.eventSystem.emit(mapping.engine, data, null, { mode: 'immediate' });
+      };
+      mapping.target.addEventListener(mapping.dom, binding.domHandler);
+    }
+
+    if (mapping.direction !== 'toEngine') {
+      binding.engineHandler = (data, event) => {
+        if (this.bridgedPayloads.has(data)) return;
+
+        const domEvent = new CustomEvent(mapping.dom, {
+          bubbles: true,
+          detail: mapping.toDOM(data, event)
+        });
+        this.bridgedDOMEvents.add(domEvent);
+        mapping.target.dispatchEvent(domEvent);
+      };
+      this.eventSystem.on(mapping.engine, binding.engineHandler);
+    }
+
+    this.bindings.push(binding);
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Page Transitions
+ *
+ * Animates the switch from one page container to the next with the Web
+ * Animations API. The outgoing and incoming containers are both in the
+ * document while the animation plays; the outgoing one is removed when it
+ * ends.
+ *
+ * Built-in transitions:
+ *
+ * - `fade` (default): the old page fades out, then the new one fades in
+ * - `crossfade`: both fade at the same time
+ * - `slide`: the old page slides out to the left as the new one slides in
+ * - `none`: swap immediately
+ *
+ * Users who ask for reduced motion (`prefers-reduced-motion: reduce`) always
+ * get `none`.
+ *
+ * @example
+ * const transitions = new PageTransitions({ name: 'slide', duration: 300 });
+ * await transitions.run(oldPageElement, newPageElement);
+ */
+
+const TRANSITIONS = {
+  none: null,
+  fade: {
+    sequential: true,
+    leave: [{ opacity: 1 }, { opacity: 0 }],
+    enter: [{ opacity: 0 }, { opacity: 1 }]
+  },
+  crossfade: {
+    leave: [{ opacity: 1 }, { opacity: 0 }],
+    enter: [{ opacity: 0 }, { opacity: 1 }]
+  },
+  slide: {
+    leave: [
+      { opacity: 1, transform: 'translateX(0)' },
+      { opacity: 0, transform: 'translateX(-30%)' }
+    ],
+    enter: [
+      { opacity: 0, transform: 'translateX(30%)' },
+      { opacity: 1, transform: 'translateX(0)' }
+    ]
+  }
+};
+
+/**
+ * PageTransitions - Enter/leave animations between page containers
+ */
+export class PageTransitions {
+  /**
+   * Create a new transition runner
+   * @param {Object} [options={}] - Transition options
+   * @param {string} [options.name='fade'] - Default transition
+   * @param {number} [options.duration=250] - Duration in ms (each half, for
+   *   sequential transitions)
+   * @param {string} [options.easing='ease'] - Easing for both animations
+   */
+  constructor(options = {}) {
+    this.transitions = { ...TRANSITIONS };
+    this.name = options.name || 'fade';
+    this.duration = options.duration ?? 250;
+    this.easing = options.easing || 'ease';
+
+    // The transition currently playing, if any
+    this.active = null;
+
+    if (!(this.name in this.transitions)) {
+      throw new Error(`PageTransitions: Unknown transition "${this.name}"`);
+    }
+  }
+
+  /**
+   * Add or replace a named transition
+   * @param {string} name - Transition name
+   * @param {Object|null} definition - `{ leave, enter, sequential }` keyframes,
+   *   or null for an immediate swap
+   */
+  register(name, definition) {
+    this.transitions[name] = definition;
+  }
+
+  /**
+   * Check whether the user asked for reduced motion
+   * @returns {boolean} True if animations should be skipped
+   */
+  prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  /**
+   * Animate from one page container to another, then remove the outgoing one
+   * @param {HTMLElement|null} outgoing - Container being left (null on first load)
+   * @param {HTMLElement} incoming - Container being entered, already in the document
+   * @param {string|Object} [options] - Transition name, or
+   *   `{ name, duration, easing }` overriding the defaults
+   * @returns {Promise<void>} Resolves when the transition has ended
+   */
+  async run(outgoing, incoming, options = {}) {
+    // Only one page leaves at a time
+    this.finish();
+
+    const { name = this.name, duration = this.duration, easing = this.easing } =
+      typeof options === 'string' ? { name: options } : options;
+
+    let definition = this.transitions[name];
+    if (definition === undefined) {
+      console.warn(`PageTransitions: Unknown transition "${name}", swapping without one`);
+      definition = null;
+    }
+
+    const canAnimate = definition && typeof incoming.animate === 'function' && !this.prefersReducedMotion();
+    const transition = { outgoing, animations: [], done: false };
+    this.active = transition;
+
+    if (canAnimate) {
+      const parent = incoming.parentElement;
+      parent?.classList.add('page-transitioning');
+      transition.parent = parent;
+
+      const timing = { duration, easing, fill: 'both' };
+      if (outgoing) {
+        transition.animations.push(outgoing.animate(definition.leave, timing));
+      }
+      transition.animations.push(incoming.animate(definition.enter, {
+        ...timing,
+        delay: definition.sequential && outgoing ? duration : 0
+      }));
+
+      try {
+        await Promise.all(transition.animations.map(animation => animation.finished));
+      } catch (error) {
+        // Cancelled animations reject; the cleanup below still applies
+      }
+    }
+
+    this._cleanup(transition);
+  }
+
+  /**
+   * Jump to the end of the running transition, if any
+   */
+  finish() {
+    if (!this.active) return;
+
+    for (const animation of this.active.animations) {
+      animation.finish();
+    }
+    this._cleanup(this.active);
+  }
+
+  /**
+   * Remove the outgoing container and the animation effects
+   * @param {Object} transition - Transition state
+   * @private
+   */
+  _cleanup(transition) {
+    if (transition.done) return;
+    transition.done = true;
+
+    // Drop the filled end state, so the page keeps no transform of its own
+    for (const animation of transition.animations) {
+      animation.cancel();
+    }
+    transition.outgoing?.remove();
+    transition.parent?.classList.remove('page-transitioning');
+
+    if (this.active === transition) {
+      this.active = null;
+    }
+  }
+}
@@ -62,6 +62,10 @@ export async function startEngine() {
     // These  handle the core functionality of the engine
     
     console.info(' Component part ');
+    // Registered schemas are enforced on every addComponent call.
+    // 'warn' reports violations through the error system, 'strict' rejects them.
+    world.setValidationMode('warn');
+    
     // Register event components
     const { registerEventComponents } = await import('./components/event.js');
     registerEventComponents(componentManager);
@@ -82,6 +86,11 @@ export async function startEngine() {
     registerPageComponent(componentManager);
     window.loadingIndicator.updateProgress(46, 'Page component registered');
     
+    // Register appearance component
+    const { registerAppearanceComponent } = await import('./components/appearance.js');
+    registerAppearanceComponent(componentManager);
+    window.loadingIndicator.updateProgress(48, 'Appearance component registered');
+    
     // ======================================================================
     // PHASE 5:
     // ======================================================================
@@ -95,6 +104,39 @@ export async function startEngine() {
     eventSystem.init(world);
     window.loadingIndicator.updateProgress(50, 'Event system ready');
     
+    // Let DOM widgets (header, dropdown sections, theme selector) and engine
+    // systems see the same events
+    const { DOMEventBridge } = await import('./modules/dom-event-bridge.js');
+    const domEventBridge = new DOMEventBridge(eventSystem, {
+      mappings: [
+        { dom: 'theme:changed' },
+        { dom: 'devmode:change' },
+        { dom: 'header:collapse', direction: 'toEngine', toEngine: () => ({}) },
+        { dom: 'header:expand', direction: 'toEngine', toEngine: () => ({}) },
+        { dom: 'page:loaded', direction: 'toDOM' },
+        { dom: 'page:prefetch', direction: 'toEngine' }
+      ]
+    });
+    domEventBridge.connect();
+    world.domEventBridge = domEventBridge;
+    
+    // Share theme and dev mode changes with the other open tabs of the site
+    const { CrossTabBridge } = await import('./modules/cross-tab-bridge.js');
+    const crossTabBridge = new CrossTabBridge(eventSystem, {
+      events: ['theme:changed', 'devmode:change']
+    });
+    crossTabBridge.connect();
+    world.crossTabBridge = crossTabBridge;
+    
+    // Apply theme changes made in another tab (local ones are already applied)
+    eventSystem.on('theme:changed', ({ theme }) => {
+      document.documentElement.setAttribute('data-theme', theme);
+    });
+    // Payload validation follows dev mode
+    eventSystem.on('devmode:change', ({ enabled }) => {
+      eventSystem.setPayloadValidation(enabled);
+    });
+    
     
 
     // Register and initialize the Render System
@@ -108,9 +150,10 @@ export async function startEngine() {
     
     // Register and initialize the Page System
     const { PageSystem } = await import('./systems/pageSystem.js');
+    const { routes, routing } = await import('../pages/routes.js');
     const pageSystem = new PageSystem();
     world.addSystem('page', pageSystem);
-    pageSystem.init(world);
+    pageSystem.init(world, { routes, ...routing });
     window.loadingIndicator.updateProgress(60, 'Page system ready');
     
     
@@ -170,7 +213,7 @@ export async function startEngine() {
         // Emit event if event system exists
         const eventSystem = world.getSystem('event');
         if (eventSystem) {
-          eventSystem.emit('engine:started', { timestamp: Date.now() });
+          eventSystem.emit('engine:started', { timestamp: Date.now() }, null, { mode: 'immediate' });
         }
       },
       
@@ -184,7 +227,7 @@ export async function startEngine() {
         // Emit event if event system exists
         const eventSystem = world.getSystem('event');
         if (eventSystem) {
-          eventSystem.emit('engine:stopped', { timestamp: Date.now() });
+          eventSystem.emit('engine:stopped', { timestamp: Date.now() }, null, { mode: 'immediate' });
         }
       },
       
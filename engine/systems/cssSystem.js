@@ -14,27 +14,35 @@ class CSSSystem extends System {
     this.animatingEntities = new Map(); // Track entities with active animations
   }
 
-  init() {
-    // Register for entity events
-    this.world.eventBus.subscribe('entity:created', this.onEntityCreated.bind(this));
-    this.world.eventBus.subscribe('entity:destroyed', this.onEntityDestroyed.bind(this));
-    this.world.eventBus.subscribe('component:added', this.onComponentAdded.bind(this));
-    this.world.eventBus.subscribe('component:removed', this.onComponentRemoved.bind(this));
+  init(world) {
+    super.init(world);
+    
+    // Observe the components this system reacts to (hooks run synchronously)
+    this._unobserve = [
+      this.world.observe('cssStyle', {
+        onAdd: (cssComponent, { entityId }) => this.loadEntityCSS(entityId, cssComponent)
+      }),
+      this.world.observe('animation', {
+        onAdd: (animation, { entityId }) => this.setupAnimation(entityId, animation),
+        onRemove: (animation, { entityId }) => this.animatingEntities.delete(entityId)
+      })
+    ];
     
     console.log(`${this.name}: Initialized`);
     return this;
   }
   
+  unmount() {
+    this._unobserve?.forEach(unobserve => unobserve());
+    this._unobserve = null;
+  }
+  
   update(dt) {
     // Update CSS-based animations
-    this.animatingEntities.forEach((animData, entityId) => {
-      const entity = this.world.entityManager.getEntity(entityId);
-      if (!entity) return;
+    this.animatingEntities.forEach((animation, entityId) => {
+      const dom = this.world.getComponent(entityId, 'dom') || this.world.getComponent(entityId, 'domElement');
       
-      const dom = entity.getComponent('dom') || entity.getComponent('domElement');
-      const animation = entity.getComponent('animation');
-      
-      if (dom && animation && dom.element) {
+      if (dom && dom.element) {
         this.updateElementAnimation(dom.element, animation, dt);
       }
     });
@@ -107,7 +115,7 @@ class CSSSystem extends System {
   
   updatePhysicsAnimation(element, animation, dt) {
     // Map physics component values to CSS transforms
-    const physics = animation.entity.getComponent('physics');
+    const physics = this.world.getComponent(animation.entityId, 'physics');
     if (!physics) return;
     
     // Apply position
@@ -133,47 +141,18 @@ class CSSSystem extends System {
     }
   }
 
-  onEntityCreated(event) {
-    const entity = this.world.entityManager.getEntity(event.entityId);
-    if (!entity) return;
-    
-    // Handle CSS loading
-    const cssComponent = entity.getComponent('cssStyle');
-    if (cssComponent) {
-      this.loadEntityCSS(entity, cssComponent);
-    }
-    
-    // Handle animation setup
-    const animation = entity.getComponent('animation');
-    if (animation) {
-      this.setupAnimation(entity, animation);
-    }
-  }
-  
-  onComponentAdded(event) {
-    const { entityId, componentType } = event;
-    const entity = this.world.entityManager.getEntity(entityId);
-    if (!entity) return;
-    
-    if (componentType === 'cssStyle') {
-      this.loadEntityCSS(entity, entity.getComponent('cssStyle'));
-    } else if (componentType === 'animation') {
-      this.setupAnimation(entity, entity.getComponent('animation'));
-    }
-  }
-  
-  loadEntityCSS(entity, cssComponent) {
+  loadEntityCSS(entityId, cssComponent) {
     if (cssComponent.file) {
       this.cssLoader.loadCSS(cssComponent.file);
     } else if (cssComponent.moduleUrl) {
       this.cssLoader.loadLocalCSS(cssComponent.moduleUrl);
     } else if (cssComponent.styles) {
-      this.applyInlineStyles(entity, cssComponent.styles);
+      this.applyInlineStyles(entityId, cssComponent.styles);
     }
   }
   
-  applyInlineStyles(entity, styles) {
-    const dom = entity.getComponent('dom') || entity.getComponent('domElement');
+  applyInlineStyles(entityId, styles) {
+    const dom = this.world.getComponent(entityId, 'dom') || this.world.getComponent(entityId, 'domElement');
     if (!dom || !dom.element) return;
     
     // Apply style object to element
@@ -182,26 +161,13 @@ class CSSSystem extends System {
     });
   }
   
-  setupAnimation(entity, animation) {
+  setupAnimation(entityId, animation) {
     // Store animation data for update loop
-    animation.entityId = entity.id;
-    animation.entity = entity;
+    animation.entityId = entityId;
     animation.progress = 0;
     animation.completed = false;
     
-    this.animatingEntities.set(entity.id, animation);
-  }
-  
-  onComponentRemoved(event) {
-    const { entityId, componentType } = event;
-    
-    if (componentType === 'animation') {
-      this.animatingEntities.delete(entityId);
-    }
-  }
-
-  onEntityDestroyed(event) {
-    this.animatingEntities.delete(event.entityId);
+    this.animatingEntities.set(entityId, animation);
   }
 }
 
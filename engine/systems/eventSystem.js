@@ -3,16 +3,92 @@
  * 
  * This system handles the processing of events in our ECS architecture.
  * It treats events as entities with components, following pure ECS principles.
+ * 
+ * Event entities are short-lived: once processed they are destroyed (their
+ * slots are recycled by the World) and a plain record is kept in a bounded
+ * history ring buffer. Listener notifications are removed after they have
+ * been visible for `notificationLifetime` frames.
+ * 
+ * Each emit chooses a delivery mode: `queued` events wait for the next
+ * update, `immediate` events are delivered before emit() returns, and
+ * `microtask` events are delivered once the current task finishes.
  */
 import { System } from '../core/system.js';
+import { toSerializable } from '../core/world.js';
+import { EventRegistry } from '../core/eventRegistry.js';
 import { 
   EVENT, 
   EVENT_LISTENER, 
   EVENT_EMITTER, 
   EVENT_NOTIFICATION,
-  createEventComponent
+  createEventComponent,
+  engineEventDefinitions,
+  matchesEventPattern
 } from '../components/event.js';
 
+/**
+ * Supported delivery modes for emitted events
+ */
+const DELIVERY_MODES = ['queued', 'immediate', 'microtask'];
+
+/**
+ * Version of the format produced by EventSystem.exportRecording
+ */
+const RECORDING_VERSION = 1;
+
+/**
+ * EngineEvent - Event object passed to listener callbacks
+ * 
+ * Listeners run in priority order; calling stopPropagation() skips the
+ * remaining ones, including those further up the entity hierarchy.
+ * preventDefault() only has an effect on events emitted with
+ * `cancelable: true`, and tells the emitter (through emitAsync) to abandon
+ * the action the event announced.
+ */
+class EngineEvent {
+  /**
+   * Create a new event object
+   * @param {Object} options - Event properties
+   * @param {string} options.type - Type of event
+   * @param {Object} options.data - Event data
+   * @param {number} options.eventEntityId - Entity ID of the event
+   * @param {number} options.sourceEntityId - Entity that emitted the event
+   * @param {number} options.timestamp - Time the event was emitted
+   * @param {boolean} [options.cancelable=false] - Whether preventDefault() is honoured
+   * @param {boolean} [options.bubbles=false] - Whether the event bubbles up the
+   *   source entity's ancestors
+   */
+  constructor({ type, data, eventEntityId, sourceEntityId, timestamp, cancelable = false, bubbles = false }) {
+    this.type = type;
+    this.data = data;
+    this.eventEntityId = eventEntityId;
+    this.sourceEntityId = sourceEntityId;
+    this.timestamp = timestamp;
+    this.cancelable = cancelable;
+    this.bubbles = bubbles;
+    // Entity whose listeners are currently running (null for global ones)
+    this.currentTargetId = null;
+    this.defaultPrevented = false;
+    this.propagationStopped = false;
+  }
+  
+  /**
+   * Prevent the remaining listeners from receiving this event
+   */
+  stopPropagation() {
+    this.propagationStopped = true;
+  }
+  
+  /**
+   * Veto the action announced by a cancelable event
+   */
+  preventDefault() {
+    if (this.cancelable) {
+      this.defaultPrevented = true;
+    }
+  }
+}
+
 /**
  * Event System - Manages event creation and dispatch
  */
@@ -29,24 +105,81 @@ class EventSystem extends System {
     // Queue for processing events
     this.eventQueue = [];
     
-    // Cache for listener lookups (eventType -> array of listeners)
+    // Cache for listener lookups (concrete eventType -> array of listeners).
+    // Pattern listeners are resolved once per event type and cached with
+    // the exact ones; the cache is cleared whenever listeners change,
+    // including when a listener entity is destroyed with its parent.
     this.listenerCache = new Map();
-    
-    // Listener for wildcard events (listen to all events)
-    this.wildcardListeners = [];
+    this._unobserve = world.observe(EVENT_LISTENER, {
+      onRemove: () => this._invalidateListenerCache()
+    });
     
     // Debug mode can be enabled to log events
     this.debugMode = options.debugMode || false;
     
+    // Delivery mode used when emit() is not given one
+    this.defaultMode = options.defaultMode || 'queued';
+    
+    // Catalogue of declared event types. In dev mode emitted payloads are
+    // checked against it and unknown types are reported (once each).
+    this.registry = options.registry || new EventRegistry();
+    this.validatePayloads = options.validatePayloads ?? this._isDevMode();
+    this.warnedEventTypes = new Set();
+    
+    // Per-type state of delivery policies (last throttle time, debounce
+    // timer, event still pending under drop or coalesce)
+    this.policyState = new Map();
+    for (const [type, definition] of Object.entries(engineEventDefinitions)) {
+      if (!this.registry.has(type)) {
+        this.registry.register(type, definition);
+      }
+    }
+    
+    // Event entity -> resolver for emitAsync() callers
+    this.pendingAsync = new Map();
+    
+    // Event stream recording and replay (see startRecording / replay)
+    this.recording = null;
+    this.lastRecording = null;
+    this.replayTimers = new Set();
+    this.dispatchDepth = 0;
+    
+    // Processed events are kept as plain records in a ring buffer
+    this.historySize = options.historySize ?? 100;
+    this.history = [];
+    
+    // Listener entity -> world frame in which it was last notified. The
+    // loop updates systems several times per frame, so lifetimes are
+    // counted in frames (see World.endFrame).
+    this.notificationLifetime = options.notificationLifetime ?? 2;
+    this.notifiedListeners = new Map();
+    
     console.info('EventSystem: Initialized');
     return this;
   }
   
+  /**
+   * Stop watching listener entities and cancel pending debounced emits
+   * and replays
+   */
+  unmount() {
+    this._unobserve?.();
+    this._unobserve = null;
+    
+    for (const state of this.policyState.values()) {
+      clearTimeout(state.timer);
+    }
+    this.policyState.clear();
+    this.stopReplay();
+  }
+  
   /**
    * Update method called each frame
    * Processes all events in the queue
    */
   update() {
+    this._collectNotifications();
+    
     // Skip if no events to process
     if (this.eventQueue.length === 0) return;
     
@@ -57,11 +190,6 @@ class EventSystem extends System {
     for (const eventEntityId of eventsToProcess) {
       this._processEvent(eventEntityId);
     }
-    
-    // Invalid the listener cache occasionally to ensure we pick up new listeners
-    if (Math.random() < 0.05) { // ~5% chance each frame
-      this._invalidateListenerCache();
-    }
   }
   
   /**
@@ -71,7 +199,10 @@ class EventSystem extends System {
    */
   _processEvent(eventEntityId) {
     const eventComponent = this.world.getComponent(eventEntityId, EVENT);
-    if (!eventComponent || eventComponent.processed) return;
+    if (!eventComponent || eventComponent.processed) {
+      this._resolveAsync(eventEntityId, null, []);
+      return;
+    }
     
     let { type, data } = eventComponent;
     // If event type is not a string, convert it and log a warning.
@@ -81,53 +212,213 @@ class EventSystem extends System {
       eventComponent.type = type; // Update the component value.
     }
     
-    const listeners = this._getListenersForType(type);
-    
     // Mark as processed
     eventComponent.processed = true;
     
-    // Notify listeners
-    for (const { entityId } of listeners) {
-      this.world.addComponent(entityId, EVENT_NOTIFICATION, {
-        eventType: type,
-        eventData: data,
-        eventEntityId,
-        sourceEntityId: eventComponent.sourceEntityId,
-        timestamp: Date.now(),
-        processed: false
-      });
-    }
-    
-    // Also call direct callbacks if they exist
-    for (const { callback } of listeners) {
-      if (typeof callback === 'function') {
+    const event = new EngineEvent({
+      type,
+      data,
+      eventEntityId,
+      sourceEntityId: eventComponent.sourceEntityId,
+      timestamp: eventComponent.timestamp,
+      cancelable: eventComponent.cancelable,
+      bubbles: eventComponent.bubbles
+    });
+    const delivered = [];
+    const results = [];
+    
+    // Walk the propagation path, calling listeners in priority order at each
+    // step, until one stops propagation
+    for (const { currentTargetId, listeners } of this._getPropagationPath(type, event)) {
+      event.currentTargetId = currentTargetId;
+      
+      for (const { entityId, callback } of listeners) {
+        if (event.propagationStopped) break;
+        if (!this._isListenerActive(entityId)) continue;
+        
+        delivered.push(entityId);
+        if (typeof callback !== 'function') continue;
+        
         try {
-          callback(data, {
-            type,
-            eventEntityId,
-            sourceEntityId: eventComponent.sourceEntityId
-          });
+          this.dispatchDepth++;
+          const result = callback(data, event);
+          
+          // Async listeners: report rejections the same way as throws
+          if (result && typeof result.then === 'function') {
+            results.push(Promise.resolve(result).catch(error => {
+              console.error(`EventSystem: Error in listener callback for "${type}":`, error);
+            }));
+          }
         } catch (error) {
           console.error(`EventSystem: Error in listener callback for "${type}":`, error);
+        } finally {
+          this.dispatchDepth--;
         }
       }
+      
+      if (event.propagationStopped) break;
     }
+    event.currentTargetId = null;
+    
+    // Notify the listeners that received the event. Notifications are
+    // structural changes, so they are deferred until the command buffer is
+    // flushed, together with the destruction of the now processed event
+    // entity.
+    this.world.defer(cmd => {
+      for (const entityId of delivered) {
+        if (!this.world.isAlive(entityId)) continue;
+        
+        this.notifiedListeners.set(entityId, this.world.frame);
+        cmd.add(entityId, EVENT_NOTIFICATION, {
+          eventType: type,
+          eventData: data,
+          eventEntityId,
+          sourceEntityId: eventComponent.sourceEntityId,
+          timestamp: Date.now(),
+          processed: false,
+          defaultPrevented: event.defaultPrevented
+        }, { emitEvent: false });
+      }
+      
+      cmd.destroy(eventEntityId, { emitEvent: false });
+    });
+    
+    this._recordHistory(eventComponent);
+    this._resolveAsync(eventEntityId, event, results);
+    this._flushIfIdle();
     
     if (this.debugMode) {
-      console.log(`EventSystem: Processed event "${type}" with ${listeners.length} listeners`);
+      console.log(`EventSystem: Processed event "${type}" with ${delivered.length} listeners`);
+    }
+  }
+  
+  /**
+   * Apply deferred commands right away when no engine loop is running to
+   * flush them (e.g. events emitted after the loop has stopped), unless a
+   * listener is still being called
+   * @private
+   */
+  _flushIfIdle() {
+    if (this.dispatchDepth > 0 || this.world.engineLoop?.isRunning) return;
+    this.world.flushCommands();
+  }
+  
+  /**
+   * Settle the emitAsync() promise waiting on an event, if any, once all
+   * async listeners have finished
+   * @param {number} eventEntityId - Entity ID of the event
+   * @param {EngineEvent|null} event - Event passed to listeners
+   * @param {Array<Promise>} results - Pending async listener results
+   * @private
+   */
+  _resolveAsync(eventEntityId, event, results) {
+    const resolve = this.pendingAsync.get(eventEntityId);
+    if (!resolve) return;
+    
+    this.pendingAsync.delete(eventEntityId);
+    Promise.all(results).then(() => resolve(event));
+  }
+  
+  /**
+   * Keep a plain record of a processed event in the history ring buffer
+   * @param {Object} eventComponent - Processed event component
+   * @private
+   */
+  _recordHistory(eventComponent) {
+    if (this.historySize <= 0) return;
+    
+    this.history.push({
+      type: eventComponent.type,
+      data: eventComponent.data,
+      timestamp: eventComponent.timestamp,
+      sourceEntityId: eventComponent.sourceEntityId
+    });
+    
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+  }
+  
+  /**
+   * Remove listener notifications that have outlived their lifetime
+   * @private
+   */
+  _collectNotifications() {
+    for (const [entityId, notifiedAt] of this.notifiedListeners) {
+      if (this.world.frame - notifiedAt < this.notificationLifetime) continue;
+      
+      this.notifiedListeners.delete(entityId);
+      if (this.world.isAlive(entityId)) {
+        this.world.removeComponent(entityId, EVENT_NOTIFICATION, { emitEvent: false });
+      }
+    }
+  }
+  
+  /**
+   * Get recently processed events, oldest first
+   * @returns {Array<Object>} Event records ({ type, data, timestamp, sourceEntityId })
+   */
+  getHistory() {
+    return [...this.history];
+  }
+  
+  /**
+   * Check if a listener entity should still receive events. Listeners
+   * removed with off() stay in the world until the deferred destroy runs.
+   * @param {number} entityId - Listener entity ID
+   * @returns {boolean} True if the listener is active
+   * @private
+   */
+  _isListenerActive(entityId) {
+    const listener = this.world.getComponent(entityId, EVENT_LISTENER);
+    return Boolean(listener) && !listener.removed;
+  }
+  
+  /**
+   * Get the listeners an event is delivered to, grouped by the entity they
+   * are attached to. Listeners on the source entity come first; bubbling
+   * events then visit each ancestor, nearest first. Global listeners always
+   * come last.
+   * @param {string} eventType - Type of event
+   * @param {EngineEvent} event - Event being delivered
+   * @returns {Array<Object>} Steps of { currentTargetId, listeners }
+   * @private
+   */
+  _getPropagationPath(eventType, event) {
+    const path = [];
+    const { sourceEntityId } = event;
+    
+    if (sourceEntityId !== null && sourceEntityId !== undefined && this.world.isAlive(sourceEntityId)) {
+      const targets = event.bubbles
+        ? [sourceEntityId, ...this.world.getAncestors(sourceEntityId)]
+        : [sourceEntityId];
+      
+      for (const targetEntityId of targets) {
+        const listeners = this._getListenersForType(eventType, targetEntityId);
+        if (listeners.length > 0) {
+          path.push({ currentTargetId: targetEntityId, listeners });
+        }
+      }
     }
+    
+    path.push({ currentTargetId: null, listeners: this._getListenersForType(eventType) });
+    return path;
   }
   
   /**
    * Get all listeners for a specific event type
    * @param {string} eventType - Type of event
+   * @param {number|null} [targetEntityId=null] - Entity the listeners are
+   *   attached to, or null for global listeners
    * @returns {Array} Array of listener objects
    * @private
    */
-  _getListenersForType(eventType) {
+  _getListenersForType(eventType, targetEntityId = null) {
+    const cacheKey = targetEntityId === null ? eventType : `${targetEntityId}>${eventType}`;
+    
     // Check cache first
-    if (this.listenerCache.has(eventType)) {
-      return this.listenerCache.get(eventType);
+    if (this.listenerCache.has(cacheKey)) {
+      return this.listenerCache.get(cacheKey);
     }
     
     // Find all entities with EVENT_LISTENER component
@@ -137,10 +428,11 @@ class EventSystem extends System {
     // Filter for listeners that match this event type
     for (const entityId of listenerEntities) {
       const listener = this.world.getComponent(entityId, EVENT_LISTENER);
-      if (!listener) continue;
+      if (!listener || listener.removed) continue;
+      if ((listener.targetEntityId ?? null) !== targetEntityId) continue;
       
-      // Check if this listener matches the event type (or is a wildcard)
-      if (listener.eventType === eventType || listener.eventType === '*') {
+      // Check if this listener matches the event type (or a pattern covering it)
+      if (matchesEventPattern(listener.eventType, eventType)) {
         matchingListeners.push({
           entityId,
           callback: listener.callback,
@@ -153,7 +445,7 @@ class EventSystem extends System {
     matchingListeners.sort((a, b) => b.priority - a.priority);
     
     // Store in cache for future lookups
-    this.listenerCache.set(eventType, matchingListeners);
+    this.listenerCache.set(cacheKey, matchingListeners);
     
     return matchingListeners;
   }
@@ -171,9 +463,245 @@ class EventSystem extends System {
    * @param {string} type - Type of event
    * @param {Object} data - Event data
    * @param {number} sourceEntityId - Entity that emitted the event
+   * @param {Object} [options] - Emit options
+   * @param {string} [options.mode] - Delivery mode: 'queued' (next update),
+   *   'immediate' (before emit returns) or 'microtask' (after the current task)
+   * @param {boolean} [options.cancelable=false] - Allow listeners to call preventDefault()
+   * @param {boolean} [options.bubbles=false] - Deliver to listeners attached to the
+   *   source entity's ancestors as well (see onEntity)
+   * @param {boolean} [options.policy] - Pass false to bypass the delivery policy
+   *   registered for the type
+   * @param {boolean} [options.validate] - Pass false to skip payload validation
+   *   (e.g. for a payload that was already checked)
+   * @returns {number|null} ID of the event entity, or null if the type's
+   *   policy dropped or postponed the event
+   */
+  emit(type, data = {}, sourceEntityId = null, options = {}) {
+    const mode = this._getDeliveryMode(type, options.mode || this.defaultMode);
+    if (options.validate !== false) {
+      this._validatePayload(type, data);
+    }
+    
+    const policy = options.policy === false ? null : this.registry.getPolicy(type);
+    if (policy) {
+      const handled = this._applyPolicy(policy, type, data, sourceEntityId, { ...options, mode });
+      if (handled !== undefined) return handled;
+    }
+    
+    const eventEntityId = this._createEvent(type, data, sourceEntityId, options);
+    this._recordEvent(type, data, sourceEntityId, { ...options, mode });
+    
+    if (policy?.type === 'drop' || (policy?.type === 'coalesce' && mode === 'queued')) {
+      this._getPolicyState(type).pendingEntityId = eventEntityId;
+    }
+    
+    if (this.debugMode) {
+      console.log(`EventSystem: Emitted ${mode} event "${type}" with data:`, data);
+    }
+    
+    this._deliver(eventEntityId, mode);
+    
+    return eventEntityId;
+  }
+  
+  /**
+   * Create and emit an event, waiting for every listener to finish
+   * @param {string} type - Type of event
+   * @param {Object} data - Event data
+   * @param {number} sourceEntityId - Entity that emitted the event
+   * @param {Object} [options] - Emit options (see emit); the mode defaults
+   *   to 'immediate'. Delivery policies do not apply, since the caller
+   *   waits for the result.
+   * @returns {Promise<EngineEvent|null>} Resolves with the event object once
+   *   all listeners, including async ones, have finished
+   */
+  emitAsync(type, data = {}, sourceEntityId = null, options = {}) {
+    const mode = this._getDeliveryMode(type, options.mode || 'immediate');
+    this._validatePayload(type, data);
+    const eventEntityId = this._createEvent(type, data, sourceEntityId, options);
+    this._recordEvent(type, data, sourceEntityId, { ...options, mode });
+    
+    if (this.debugMode) {
+      console.log(`EventSystem: Emitted ${mode} async event "${type}" with data:`, data);
+    }
+    
+    // Register the resolver before delivery so immediate events settle it
+    const promise = new Promise(resolve => this.pendingAsync.set(eventEntityId, resolve));
+    this._deliver(eventEntityId, mode);
+    
+    return promise;
+  }
+  
+  /**
+   * Declare an event type and its payload schema
+   * @param {string} type - Event type
+   * @param {Object} [definition] - Definition ({ description, payload }), see EventRegistry
+   * @returns {Object} The registered entry
+   */
+  registerEvent(type, definition = {}) {
+    this.warnedEventTypes.delete(type);
+    return this.registry.register(type, definition);
+  }
+  
+  /**
+   * List the declared event types
+   * @returns {Array<Object>} Catalogue entries ({ type, description, payload })
+   */
+  getEventCatalogue() {
+    return this.registry.list();
+  }
+  
+  /**
+   * Enable or disable payload validation
+   * @param {boolean} enabled - Whether emitted payloads should be validated
+   */
+  setPayloadValidation(enabled) {
+    this.validatePayloads = enabled;
+  }
+  
+  /**
+   * Check an emitted payload against the registry (when validation is on)
+   * @param {string} type - Type of event
+   * @param {Object} data - Event data
+   * @private
+   */
+  _validatePayload(type, data) {
+    if (!this.validatePayloads) return;
+    
+    const violations = this.registry.validate(type, data);
+    
+    if (violations === null) {
+      if (!this.warnedEventTypes.has(type)) {
+        this.warnedEventTypes.add(type);
+        console.warn(`EventSystem: Emitting unregistered event type "${type}"`);
+      }
+      return;
+    }
+    
+    if (violations.length > 0) {
+      console.warn(`EventSystem: Invalid payload for "${type}": ${violations.join('; ')}`);
+    }
+  }
+  
+  /**
+   * Check if the site is in dev mode (toggled from the settings dropdown)
+   * @returns {boolean} True in dev mode
+   * @private
+   */
+  _isDevMode() {
+    try {
+      return typeof localStorage !== 'undefined' && localStorage.getItem('devMode') === 'true';
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  /**
+   * Apply the delivery policy registered for an event type
+   * @param {Object} policy - Normalized policy (see EventRegistry)
+   * @param {string} type - Type of event
+   * @param {Object} data - Event data
+   * @param {number} sourceEntityId - Entity that emitted the event
+   * @param {Object} options - Emit options, including the resolved mode
+   * @returns {number|null|undefined} The result emit() should return, or
+   *   undefined if the event should be emitted normally
+   * @private
+   */
+  _applyPolicy(policy, type, data, sourceEntityId, options) {
+    const state = this._getPolicyState(type);
+    
+    switch (policy.type) {
+      case 'drop':
+        // Keep the event already waiting for delivery, if there is one
+        return this._getPendingEvent(state) ? null : undefined;
+        
+      case 'throttle': {
+        const now = Date.now();
+        if (state.lastEmitted !== undefined && now - state.lastEmitted < 1000 / policy.hz) {
+          return null;
+        }
+        state.lastEmitted = now;
+        return undefined;
+      }
+      
+      case 'debounce':
+        clearTimeout(state.timer);
+        state.timer = setTimeout(() => {
+          state.timer = null;
+          // The payload was validated when it was first emitted
+          this.emit(type, data, sourceEntityId, { ...options, policy: false, validate: false });
+        }, policy.wait);
+        return null;
+        
+      case 'coalesce': {
+        // Fold the payload into the event still waiting in the queue
+        const pending = options.mode === 'queued' ? this._getPendingEvent(state) : null;
+        if (!pending) return undefined;
+        
+        pending.data = data;
+        pending.sourceEntityId = sourceEntityId;
+        pending.timestamp = Date.now();
+        return state.pendingEntityId;
+      }
+      
+      default:
+        return undefined;
+    }
+  }
+  
+  /**
+   * Get the event a policy is holding on to, if it has not been delivered yet
+   * @param {Object} state - Policy state of the event type
+   * @returns {Object|null} The pending event's EVENT component, or null
+   * @private
+   */
+  _getPendingEvent(state) {
+    const pendingId = state.pendingEntityId;
+    if (pendingId === undefined || !this.world.isAlive(pendingId)) return null;
+    
+    const pending = this.world.getComponent(pendingId, EVENT);
+    return pending && !pending.processed ? pending : null;
+  }
+  
+  /**
+   * Get the policy state for an event type
+   * @param {string} type - Type of event
+   * @returns {Object} Mutable policy state
+   * @private
+   */
+  _getPolicyState(type) {
+    let state = this.policyState.get(type);
+    if (!state) {
+      state = {};
+      this.policyState.set(type, state);
+    }
+    return state;
+  }
+  
+  /**
+   * Check a requested delivery mode
+   * @param {string} type - Type of event
+   * @param {string} mode - Requested delivery mode
+   * @returns {string} The mode, if supported
+   * @private
+   */
+  _getDeliveryMode(type, mode) {
+    if (!DELIVERY_MODES.includes(mode)) {
+      throw new Error(`EventSystem: Unknown delivery mode "${mode}" for event "${type}"`);
+    }
+    return mode;
+  }
+  
+  /**
+   * Create the entity that represents an event
+   * @param {string} type - Type of event
+   * @param {Object} data - Event data
+   * @param {number} sourceEntityId - Entity that emitted the event
+   * @param {Object} [options] - Emit options
    * @returns {number} ID of the created event entity
+   * @private
    */
-  emit(type, data = {}, sourceEntityId = null) {
+  _createEvent(type, data, sourceEntityId, options = {}) {
     // Create a new entity for this event with the isEventEntity flag set to true
     const eventEntityId = this.world.createEntity({
       isEventEntity: true, // Important to prevent recursive event emission
@@ -186,23 +714,43 @@ class EventSystem extends System {
       data,
       processed: false,
       timestamp: Date.now(),
-      sourceEntityId
+      sourceEntityId,
+      cancelable: options.cancelable === true,
+      bubbles: options.bubbles === true
     });
     
-    // Add to the processing queue
-    this.eventQueue.push(eventEntityId);
-    
-    if (this.debugMode) {
-      console.log(`EventSystem: Emitted event "${type}" with data:`, data);
-    }
-    
     return eventEntityId;
   }
   
+  /**
+   * Hand an event entity over for delivery in the given mode
+   * @param {number} eventEntityId - Entity ID of the event
+   * @param {string} mode - Delivery mode
+   * @private
+   */
+  _deliver(eventEntityId, mode) {
+    switch (mode) {
+      case 'immediate':
+        this._processEvent(eventEntityId);
+        break;
+      case 'microtask':
+        queueMicrotask(() => this._processEvent(eventEntityId));
+        break;
+      default:
+        this.eventQueue.push(eventEntityId);
+    }
+  }
+  
   /**
    * Add an event listener
-   * @param {string} eventType - Type of event to listen for
-   * @param {Function} callback - Function to call when event is received
+   * 
+   * The event type may be a pattern: `*` matches one `:`-separated segment
+   * (`page:*` receives `page:loaded` but not `page:child:mounted`), `**`
+   * matches any number of segments (`entity:**`), and `*` on its own
+   * receives every event.
+   * @param {string} eventType - Type of event (or event pattern) to listen for
+   * @param {Function} callback - Function to call when event is received,
+   *   with the event data and the EngineEvent object
    * @param {number} priority - Priority of listener (higher is processed first)
    * @returns {number} ID of the created listener entity
    */
@@ -227,6 +775,42 @@ class EventSystem extends System {
     return listenerEntityId;
   }
   
+  /**
+   * Add an event listener attached to an entity. It receives events whose
+   * source is that entity, and bubbling events from its descendants. The
+   * listener is a child of the entity, so it is destroyed along with it.
+   * @param {number} targetEntityId - Entity to attach the listener to
+   * @param {string} eventType - Type of event (or event pattern) to listen for
+   * @param {Function} callback - Function to call when event is received,
+   *   with the event data and the EngineEvent object
+   * @param {number} priority - Priority of listener (higher is processed first)
+   * @returns {number} ID of the created listener entity
+   */
+  onEntity(targetEntityId, eventType, callback, priority = 0) {
+    if (!this.world.isAlive(targetEntityId)) {
+      console.warn(`EventSystem: Cannot listen on missing entity ${targetEntityId}`);
+      return null;
+    }
+    
+    const listenerEntityId = this.world.createEntity();
+    this.world.setParent(listenerEntityId, targetEntityId);
+    
+    this.world.addComponent(listenerEntityId, EVENT_LISTENER, {
+      eventType,
+      callback,
+      priority,
+      targetEntityId
+    });
+    
+    this._invalidateListenerCache();
+    
+    if (this.debugMode) {
+      console.log(`EventSystem: Added listener for "${eventType}" on entity ${targetEntityId} with priority ${priority}`);
+    }
+    
+    return listenerEntityId;
+  }
+  
   /**
    * Remove an event listener
    * @param {string} eventType - Type of event
@@ -243,10 +827,13 @@ class EventSystem extends System {
       
       // Check if this is the listener we want to remove
       if (listener && 
+          !listener.removed &&
           listener.eventType === eventType && 
           (!callback || listener.callback === callback)) {
-        // Remove the entity
-        this.world.removeEntity(entityId);
+        // Stop delivery right away; destroying the entity is deferred because
+        // off() is often called from inside a listener callback
+        listener.removed = true;
+        this.world.defer(cmd => cmd.destroy(entityId));
         removed = true;
       }
     }
@@ -254,6 +841,7 @@ class EventSystem extends System {
     // Invalidate cache if any listeners were removed
     if (removed) {
       this._invalidateListenerCache();
+      this._flushIfIdle();
     }
     
     return removed;
@@ -279,6 +867,182 @@ class EventSystem extends System {
     return this.on(eventType, onceWrapper);
   }
   
+  /**
+   * Start recording the stream of emitted events.
+   * By default only root events are recorded: events emitted by listeners
+   * while handling another event are left out, because replaying the root
+   * event makes those listeners emit them again.
+   * @param {Object} [options] - Recording options
+   * @param {Array<string>} [options.patterns=['*']] - Event types or patterns to record
+   * @param {boolean} [options.includeNested=false] - Also record events emitted by listeners
+   * @param {boolean} [options.includeSnapshot=true] - Store a World snapshot taken
+   *   at the start, so the recording can be replayed into an identical World
+   */
+  startRecording({ patterns = ['*'], includeNested = false, includeSnapshot = true } = {}) {
+    const startedAt = Date.now();
+    
+    this.recording = {
+      version: RECORDING_VERSION,
+      startedAt,
+      patterns: [...patterns],
+      includeNested,
+      snapshot: includeSnapshot ? this.world.toJSON() : null,
+      events: []
+    };
+    
+    console.info('EventSystem: Recording started');
+  }
+  
+  /**
+   * Stop recording
+   * @returns {Object|null} The finished recording
+   */
+  stopRecording() {
+    const recording = this.recording;
+    this.recording = null;
+    
+    if (recording) {
+      recording.duration = Date.now() - recording.startedAt;
+      this.lastRecording = recording;
+      console.info(`EventSystem: Recording stopped (${recording.events.length} events)`);
+    }
+    
+    return recording;
+  }
+  
+  /**
+   * Check if events are currently being recorded
+   * @returns {boolean} True while recording
+   */
+  isRecording() {
+    return this.recording !== null;
+  }
+  
+  /**
+   * Export a recording as JSON
+   * @param {Object} [recording] - Recording to export (defaults to the current
+   *   recording, or the last finished one)
+   * @returns {string|null} JSON text, or null if nothing was recorded
+   */
+  exportRecording(recording = this.recording || this.lastRecording) {
+    return recording ? JSON.stringify(recording) : null;
+  }
+  
+  /**
+   * Replay a recorded event stream into this system's world.
+   * To reproduce a session, build the world from the recording's snapshot
+   * first so that source entity IDs line up:
+   * 
+   * ```javascript
+   * const world = World.fromJSON(recording.snapshot);
+   * const events = new EventSystem();
+   * world.addSystem('event', events);
+   * events.init(world);
+   * await events.replay(recording, { speed: 4 });
+   * ```
+   * @param {Object|string} recording - Recording object or exported JSON
+   * @param {Object} [options] - Replay options
+   * @param {number} [options.speed=1] - Playback speed multiplier; Infinity
+   *   replays every event synchronously
+   * @returns {Promise<number>} Resolves with the number of replayed events
+   */
+  replay(recording, { speed = 1 } = {}) {
+    if (typeof recording === 'string') {
+      recording = JSON.parse(recording);
+    }
+    
+    if (!recording || recording.version !== RECORDING_VERSION) {
+      return Promise.reject(new Error(
+        `EventSystem: Unsupported recording version ${recording?.version}`
+      ));
+    }
+    
+    if (!(speed > 0)) {
+      return Promise.reject(new Error(`EventSystem: Invalid replay speed ${speed}`));
+    }
+    
+    const { events } = recording;
+    console.info(`EventSystem: Replaying ${events.length} events at ${speed}x`);
+    
+    if (speed === Infinity) {
+      events.forEach(record => this._replayEvent(record));
+      return Promise.resolve(events.length);
+    }
+    
+    return new Promise(resolve => {
+      if (events.length === 0) {
+        resolve(0);
+        return;
+      }
+      
+      let remaining = events.length;
+      for (const record of events) {
+        const timer = setTimeout(() => {
+          this.replayTimers.delete(timer);
+          this._replayEvent(record);
+          
+          if (--remaining === 0) {
+            resolve(events.length);
+          }
+        }, record.offset / speed);
+        this.replayTimers.add(timer);
+      }
+    });
+  }
+  
+  /**
+   * Cancel a replay in progress. Its promise stays pending.
+   */
+  stopReplay() {
+    for (const timer of this.replayTimers) {
+      clearTimeout(timer);
+    }
+    this.replayTimers.clear();
+  }
+  
+  /**
+   * Add an emitted event to the current recording
+   * @param {string} type - Type of event
+   * @param {Object} data - Event data
+   * @param {number} sourceEntityId - Entity that emitted the event
+   * @param {Object} options - Emit options, including the resolved mode
+   * @private
+   */
+  _recordEvent(type, data, sourceEntityId, options) {
+    const { recording } = this;
+    if (!recording) return;
+    if (this.dispatchDepth > 0 && !recording.includeNested) return;
+    if (!recording.patterns.some(pattern => matchesEventPattern(pattern, type))) return;
+    
+    const timestamp = Date.now();
+    recording.events.push({
+      type,
+      data: toSerializable(data) ?? {},
+      timestamp,
+      offset: timestamp - recording.startedAt,
+      sourceEntityId,
+      mode: options.mode,
+      cancelable: options.cancelable === true,
+      bubbles: options.bubbles === true
+    });
+  }
+  
+  /**
+   * Emit a recorded event again
+   * @param {Object} record - Recorded event
+   * @private
+   */
+  _replayEvent(record) {
+    // Recorded events already passed their policy and validation
+    this.emit(record.type, record.data, record.sourceEntityId, {
+      mode: record.mode,
+      cancelable: record.cancelable,
+      bubbles: record.bubbles,
+      policy: false,
+      validate: false
+    });
+  }
+  
   /**
    * Enable or disable debug mode
    * @param {boolean} enabled - Whether debug mode should be enabled
@@ -289,4 +1053,4 @@ class EventSystem extends System {
   }
 }
 
-export { EventSystem };
+export { EventSystem, EngineEvent };
@@ -112,9 +112,7 @@ class LayoutSystem extends System {
       selector: 'header'
     });
     
-    this.world.addComponent(headerEntityId, UI_CONTAINER, {
-      children: []
-    });
+    this.world.addComponent(headerEntityId, UI_CONTAINER, createContainerComponent());
     
     console.info('LayoutSystem: Header entity created');
     
@@ -218,8 +216,8 @@ class LayoutSystem extends System {
    * @private
    */
   _findEntities(componentName) {
-    return Array.from(this.world.entities.values())
-      .filter(entity => entity.componentMask.has(componentName));
+    return this.world.getEntitiesWith(componentName)
+      .map(entityId => this.world.entities.get(entityId));
   }
   
   /**
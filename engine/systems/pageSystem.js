@@ -2,31 +2,136 @@
  * @fileoverview Page System for ECS
  * 
  * Manages loading and rendering different pages based on the current route.
+ * Locations are resolved through a route table (see core/router.js), so
+ * `#projects/Portfolio_Engine?tab=readme` loads the `projects` page module
+ * with `{ id: 'Portfolio_Engine' }` as params and `{ tab: 'readme' }` as query.
+ * 
+ * Two routing modes are supported:
+ * - `hash` (default): the location lives in the URL hash (`/#projects`)
+ * - `history`: clean URLs (`/projects`) through pushState/popstate, under
+ *   `basePath` on GitHub Pages. Same-origin link clicks are intercepted,
+ *   and legacy `#route` links and hash assignments are upgraded to paths,
+ *   while plain in-page anchors keep working. Static hosts need the 404.html
+ *   shim to serve deep links.
+ * 
+ * Navigation guards run around every page change, first the global ones
+ * (registered with `beforeLeave()` / `beforeEnter()` / `afterEnter()`),
+ * then the same-named method of the page module involved:
+ * 
+ * 1. `beforeLeave(to, from)` - on the page being left
+ * 2. `beforeEnter(to, from)` - on the page being entered, once its module
+ *    is imported but before the current page is torn down (a static
+ *    method for class-based pages, which have no instance yet)
+ * 3. `afterEnter(to, from)` - after the new page is mounted
+ * 
+ * `to` and `from` are route matches (`from` is null on the first load).
+ * Before-guards may be async; returning `false` cancels the navigation and
+ * returning a location string redirects to it.
+ * 
+ * The incoming page is initialized hidden, and the current page is only
+ * unmounted once it is ready, so a navigation that is superseded or
+ * cancelled on the way leaves the current page in place.
+ * The outgoing page stays in `#root` next to the incoming one while a
+ * transition (see modules/page-transitions.js) plays. A route can pick its
+ * own transition with `meta: { transition: 'slide' }`.
+ * 
+ * Imported page modules are kept in an LRU cache (`cache.size` entries).
+ * Evicting a module only drops the PageSystem's references to it and to
+ * its reused page object: browsers keep every imported module for the
+ * lifetime of the document, so the next visit gets the same module back
+ * from `import()` without fetching or running it again.
+ * By default every visit gets a fresh page object, so state a page keeps
+ * on itself does not leak into the next visit; `cache.reuse` keeps one
+ * page object per module instead. Modules can be imported ahead of time
+ * with `prefetch()`, or by emitting `page:prefetch`, which the Navbar does
+ * on link hover and when the browser is idle. A prefetch does not count
+ * as a use of a module that is already cached.
  */
 import { System } from '../core/system.js';
+import { Router } from '../core/router.js';
 import { cssLoader } from '../modules/css-loader.js'; // Add this import
+import { PageTransitions } from '../modules/page-transitions.js';
+
+const ROUTING_MODES = ['hash', 'history'];
+const GUARD_TYPES = ['beforeLeave', 'beforeEnter', 'afterEnter'];
+
+// Guard against guards redirecting back and forth
+const MAX_GUARD_REDIRECTS = 10;
 
 /**
  * PageSystem - Handles page loading and rendering
  */
 class PageSystem extends System {
+  /**
+   * Initialize the page system
+   * @param {Object} world - ECS world instance
+   * @param {Object} options - System options
+   * @param {Array<Object>} [options.routes] - Route table; without one, the
+   *   first path segment names the page module
+   * @param {string} [options.mode='hash'] - Routing mode: 'hash' or 'history'
+   * @param {string} [options.basePath] - Path the site is served under;
+   *   detected for GitHub Pages when omitted
+   * @param {Object} [options.transition] - Default page transition
+   *   ({ name, duration, easing }); see PageTransitions
+   * @param {Object} [options.cache] - Page module cache policy
+   * @param {number} [options.cache.size=6] - Page modules to keep references
+   *   to (and reused page objects, with `reuse`)
+   * @param {boolean} [options.cache.reuse=false] - Reuse one page object per
+   *   module instead of creating a fresh one on every visit
+   * @returns {PageSystem} This system instance
+   */
   init(world, options = {}) {
     super.init(world);
     
+    const { mode = 'hash' } = options;
+    if (!ROUTING_MODES.includes(mode)) {
+      throw new Error(`PageSystem: Unknown routing mode "${mode}"`);
+    }
+    this.mode = mode;
+    
     this.currentPage = null;
     this.currentPageEntity = null;
+    this.currentRoute = null;
+    this.currentLocation = null;
+    this.currentMatch = null;
+    this.navigationCount = 0;
+    this.guards = Object.fromEntries(GUARD_TYPES.map(type => [type, []]));
+    this.router = new Router(options.routes || [
+      { path: '', redirect: 'home' },
+      { path: ':page', page: ({ page }) => page }
+    ]);
     this.container = document.getElementById('root');
+    // pageName -> { definition, instance }, least recently used first
     this.pageModules = new Map();
+    this.pendingModules = new Map();
+    this.cachePolicy = { size: 6, reuse: false, ...options.cache };
     this.isInitialized = false;
     this.cssLoader = cssLoader; // Store reference to CSS loader
+    this.transitions = new PageTransitions(options.transition);
     
     // Detect if we're running on GitHub Pages
-    this.basePath = this._getBasePath();
+    this.basePath = options.basePath ?? this._getBasePath();
+    
+    this._handleRouteChange = this._handleRouteChange.bind(this);
+    this._handleHashChange = this._handleHashChange.bind(this);
+    this._handleLinkClick = this._handleLinkClick.bind(this);
+    
+    // Listen for location changes to handle page navigation
+    if (this.mode === 'history') {
+      window.addEventListener('popstate', this._handleRouteChange);
+      window.addEventListener('hashchange', this._handleHashChange);
+      document.addEventListener('click', this._handleLinkClick);
+    } else {
+      window.addEventListener('hashchange', this._handleRouteChange);
+    }
     
-    // Listen for hash changes to handle page navigation
-    window.addEventListener('hashchange', this._handleRouteChange.bind(this));
+    // Prefetch requests, e.g. from the Navbar through the DOM event bridge
+    const eventSystem = world.getSystem('event');
+    if (eventSystem) {
+      eventSystem.on('page:prefetch', ({ route }) => this.prefetch(route));
+    }
     
-    console.info('PageSystem: Initialized');
+    console.info(`PageSystem: Initialized (${this.mode} mode)`);
     return this;
   }
   
@@ -55,121 +160,437 @@ class PageSystem extends System {
    */
   start() {
     if (!this.isInitialized) {
+      // Old bookmarks may still carry a hash route
+      if (this.mode === 'history' && this._getLocation() === '') {
+        this._upgradeHashLocation();
+      }
       this._handleRouteChange();
       this.isInitialized = true;
     }
   }
   
   /**
-   * Handle route changes when the hash changes
+   * Navigate to a location
+   * @param {string} location - Location such as 'projects/Portfolio_Engine?tab=readme'
+   * @param {Object} [options={}] - Navigation options
+   * @param {boolean} [options.replace=false] - Replace the current history
+   *   entry instead of adding one
+   * @returns {Promise<void>} Resolves once the navigation has finished or
+   *   was cancelled
+   */
+  navigate(location, options = {}) {
+    const { replace = false } = options;
+    
+    // The history entry is only written once the guards have let the
+    // navigation through, so a cancelled one leaves none behind
+    return this._navigate(location.replace(/^[#/]+/, ''), replace ? 'replace' : 'push');
+  }
+  
+  /**
+   * Get the current location from the URL
+   * @returns {string} Location without leading '#' or '/'
+   * @private
+   */
+  _getLocation() {
+    if (this.mode === 'hash') {
+      return window.location.hash.substring(1); // Remove the # character
+    }
+    
+    // Outside basePath there is no route to show; the router sends '' home
+    return this._pathToLocation(window.location.pathname, window.location.search) ?? '';
+  }
+  
+  /**
+   * Convert a URL path under basePath to a location
+   * @param {string} pathname - URL path
+   * @param {string} [search=''] - URL query string, with its '?'
+   * @returns {string|null} Location, or null if the path is outside basePath
+   * @private
+   */
+  _pathToLocation(pathname, search = '') {
+    if (this.basePath && pathname !== this.basePath && !pathname.startsWith(`${this.basePath}/`)) {
+      return null;
+    }
+    
+    const path = pathname
+      .slice(this.basePath.length)
+      .replace(/(^|\/)index\.html$/, '')
+      .replace(/^\/+/, '');
+    return `${path}${search}`;
+  }
+  
+  /**
+   * Build the URL of a location for the address bar
+   * @param {string} location - Location without leading '#' or '/'
+   * @returns {string} URL ('#location' in hash mode)
+   * @private
+   */
+  _toURL(location) {
+    return this.mode === 'hash' ? `#${location}` : `${this.basePath}/${location}`;
+  }
+  
+  /**
+   * Show a location in the address bar without navigating.
+   * Neither replaceState nor popstate/hashchange listeners re-enter here.
+   * @param {string} location - Location without leading '#' or '/'
+   * @private
+   */
+  _replaceLocation(location) {
+    history.replaceState(null, '', this._toURL(location));
+  }
+  
+  /**
+   * Check if a hash names a route rather than an in-page anchor
+   * @param {string} hash - Hash without the '#'
+   * @returns {boolean} True if the hash resolves to a route
+   * @private
+   */
+  _isHashRoute(hash) {
+    if (hash === '') return false;
+    
+    const match = this.router.resolve(hash);
+    return match !== null && !match.notFound;
+  }
+  
+  /**
+   * In history mode, turn a hash route in the URL into a path
+   * @returns {boolean} True if the URL was upgraded
+   * @private
+   */
+  _upgradeHashLocation() {
+    const hash = window.location.hash.substring(1);
+    if (!this._isHashRoute(hash)) return false;
+    
+    this._replaceLocation(hash);
+    return true;
+  }
+  
+  /**
+   * Handle hash changes in history mode: legacy `location.hash = 'route'`
+   * navigation is upgraded to a path, anything else is an in-page anchor
+   * @private
+   */
+  _handleHashChange() {
+    if (this._upgradeHashLocation()) {
+      this._handleRouteChange();
+    }
+  }
+  
+  /**
+   * Intercept clicks on same-origin links in history mode
+   * @param {MouseEvent} event - Click event
+   * @private
+   */
+  _handleLinkClick(event) {
+    if (event.defaultPrevented || event.button !== 0) return;
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+    
+    const link = event.target.closest?.('a[href]');
+    if (!link || link.hasAttribute('download')) return;
+    if (link.target && link.target !== '_self') return;
+    
+    const href = link.getAttribute('href');
+    let location;
+    
+    if (href.startsWith('#')) {
+      // Legacy '#route' links; in-page anchors keep their default behavior
+      if (!this._isHashRoute(href.substring(1))) return;
+      location = href.substring(1);
+    } else {
+      const url = new URL(link.href, window.location.href);
+      if (url.origin !== window.location.origin) return;
+      
+      // Anchors on the current page and links to files are not routes
+      const samePage = url.pathname === window.location.pathname && url.search === window.location.search;
+      if (samePage && url.hash) return;
+      if (/\.\w+$/.test(url.pathname) && !url.pathname.endsWith('/index.html')) return;
+      
+      location = this._pathToLocation(url.pathname, url.search);
+      if (location === null) return;
+    }
+    
+    event.preventDefault();
+    this.navigate(location);
+  }
+  
+  /**
+   * Handle route changes when the location in the URL changes
    * @private
    */
   _handleRouteChange() {
-    // Get the current route from the URL hash
-    let route = window.location.hash.substring(1); // Remove the # character
+    return this._navigate(this._getLocation());
+  }
+  
+  /**
+   * Navigate to a location, running the guards first.
+   * Emits a cancelable `page:beforeNavigate` event first; if a listener
+   * prevents it, the address bar keeps (or gets back) the previous route.
+   * @param {string} location - Location without leading '#' or '/'
+   * @param {string} [historyAction] - 'push' or 'replace' to write the
+   *   location to the address bar once the navigation is allowed; omitted
+   *   when the URL already shows it
+   * @private
+   */
+  async _navigate(location, historyAction) {
+    // A newer navigation supersedes this one while its guards are pending
+    const navigationId = ++this.navigationCount;
+    
+    for (let redirects = 0; redirects <= MAX_GUARD_REDIRECTS; redirects++) {
+      const match = this.router.resolve(location);
+      if (!match) {
+        console.error(`PageSystem: No route matches "${location}"`);
+        return;
+      }
+      
+      const from = this.currentMatch;
+      const result = await this._runBeforeGuards(match, from);
+      if (navigationId !== this.navigationCount) return;
+      
+      if (result === false) {
+        console.info(`PageSystem: Navigation to "${match.path}" was cancelled`);
+        // Undo a URL change, or the entry of a navigation this one superseded
+        if (this.currentLocation !== null && this._getLocation() !== this.currentLocation) {
+          this._replaceLocation(this.currentLocation);
+        }
+        return;
+      }
+      
+      if (typeof result === 'string') {
+        console.info(`PageSystem: Navigation to "${match.path}" redirected to "${result}"`);
+        location = result.replace(/^[#/]+/, '');
+        continue;
+      }
+      
+      // Show the location, or where a redirect led
+      const matchLocation = this._formatLocation(match);
+      if (historyAction === 'push' && matchLocation !== this.currentLocation) {
+        history.pushState(null, '', this._toURL(matchLocation));
+      } else if (historyAction || match.redirectedFrom !== null || redirects > 0) {
+        this._replaceLocation(matchLocation);
+      }
+      
+      console.info(`PageSystem: Navigating to route "${match.path}"`);
+      if (await this.loadPage(match)) {
+        await this._runGuards(this._getGuards('afterEnter', this.currentPage), match, from);
+      }
+      return;
+    }
+    
+    console.error(`PageSystem: Too many guard redirects while navigating to "${location}"`);
+  }
+  
+  /**
+   * Register a global guard that runs before the current page is left
+   * @param {Function} guard - (to, from) => false | location | anything
+   * @returns {Function} Function that removes the guard
+   */
+  beforeLeave(guard) {
+    return this._addGuard('beforeLeave', guard);
+  }
+  
+  /**
+   * Register a global guard that runs before a page is entered
+   * @param {Function} guard - (to, from) => false | location | anything
+   * @returns {Function} Function that removes the guard
+   */
+  beforeEnter(guard) {
+    return this._addGuard('beforeEnter', guard);
+  }
+  
+  /**
+   * Register a global hook that runs after a page is mounted
+   * @param {Function} hook - (to, from) => void
+   * @returns {Function} Function that removes the hook
+   */
+  afterEnter(hook) {
+    return this._addGuard('afterEnter', hook);
+  }
+  
+  /**
+   * Add a global guard
+   * @param {string} type - Guard type
+   * @param {Function} guard - Guard function
+   * @returns {Function} Function that removes the guard
+   * @private
+   */
+  _addGuard(type, guard) {
+    if (typeof guard !== 'function') {
+      throw new TypeError(`PageSystem: ${type} guard must be a function`);
+    }
+    
+    this.guards[type].push(guard);
+    return () => {
+      const index = this.guards[type].indexOf(guard);
+      if (index !== -1) this.guards[type].splice(index, 1);
+    };
+  }
+  
+  /**
+   * Collect the guards of one type: the global ones, then the page module's
+   * @param {string} type - Guard type
+   * @param {Object|null} pageModule - Page module that may define the guard
+   * @returns {Array<Function>} Guards in the order they run
+   * @private
+   */
+  _getGuards(type, pageModule) {
+    const guards = [...this.guards[type]];
     
-    // Default to home if no route specified
-    if (!route) {
-      route = 'home';
+    if (pageModule && typeof pageModule[type] === 'function') {
+      guards.push((to, from) => pageModule[type](to, from));
     }
     
-    console.info(`PageSystem: Navigating to route "${route}"`);
-    this.loadPage(route);
+    return guards;
   }
   
   /**
-   * Load a page by its route name
-   * @param {string} route - The route name for the page to load
+   * Run the checks that may stop or redirect a navigation: the cancelable
+   * `page:beforeNavigate` event, then the beforeLeave and beforeEnter guards
+   * @param {Object} to - Route match being navigated to
+   * @param {Object|null} from - Current route match
+   * @returns {Promise<boolean|string|undefined>} false to cancel, a location
+   *   to redirect, undefined to continue
+   * @private
    */
-  async loadPage(route) {
+  async _runBeforeGuards(to, from) {
+    const eventSystem = this.world.getSystem('event');
+    if (eventSystem) {
+      const event = await eventSystem.emitAsync('page:beforeNavigate', {
+        from: this.currentRoute,
+        to: to.path,
+        params: to.params
+      }, this.currentPageEntity, { cancelable: true });
+      
+      if (event?.defaultPrevented) return false;
+    }
+    
+    if (from) {
+      const result = await this._runGuards(this._getGuards('beforeLeave', this.currentPage), to, from);
+      if (result !== undefined) return result;
+    }
+    
+    // Import the next page now, so its own beforeEnter can run while the
+    // current page is still in place. loadPage reports import errors.
+    let definition = null;
     try {
-      // Clean up previous page if it exists
-      if (this.currentPageEntity) {
-        // Call unmount on the page module if it exists
-        if (this.currentPage && typeof this.currentPage.unmount === 'function') {
-          this.currentPage.unmount();
-        }
-        
-        // Clean up the page entity
-        this.world.destroyEntity(this.currentPageEntity);
-        this.currentPageEntity = null;
-        this.currentPage = null;
+      definition = await this._loadPageModule(to.page);
+    } catch (error) {
+      definition = null;
+    }
+    
+    return this._runGuards(this._getGuards('beforeEnter', definition), to, from);
+  }
+  
+  /**
+   * Run guards in order until one cancels or redirects
+   * @param {Array<Function>} guards - Guards to run
+   * @param {Object} to - Route match being navigated to
+   * @param {Object|null} from - Current route match
+   * @returns {Promise<boolean|string|undefined>} First false or location
+   *   returned, otherwise undefined
+   * @private
+   */
+  async _runGuards(guards, to, from) {
+    for (const guard of guards) {
+      let result;
+      try {
+        result = await guard(to, from);
+      } catch (error) {
+        // A guard that fails cancels the navigation rather than letting it through
+        console.error('PageSystem: Navigation guard failed:', error);
+        return false;
       }
       
+      if (result === false || typeof result === 'string') {
+        return result;
+      }
+    }
+    
+    return undefined;
+  }
+  
+  /**
+   * Build the location string (path and query) of a route match
+   * @param {Object} match - Route match
+   * @returns {string} Location without the leading '#' or '/'
+   * @private
+   */
+  _formatLocation(match) {
+    const search = new URLSearchParams(match.query).toString();
+    return search ? `${match.path}?${search}` : match.path;
+  }
+  
+  /**
+   * Load the page for a location. The current page is only unloaded once
+   * the new one is initialized. A navigation started while the page is
+   * still loading supersedes it: the page is dropped at the next step and
+   * the current page stays in place.
+   * @param {string|Object} location - Location (e.g. 'projects/Portfolio_Engine')
+   *   or a route match from the router
+   * @returns {Promise<boolean>} True if the page was loaded and is still current
+   */
+  async loadPage(location) {
+    const match = typeof location === 'string' ? this.router.resolve(location) : location;
+    if (!match) {
+      console.error(`PageSystem: No route matches "${location}"`);
+      return false;
+    }
+    const pageName = match.page;
+    const navigationId = ++this.navigationCount;
+    const isStale = () => navigationId !== this.navigationCount;
+    let pageEntityId = null;
+    
+    try {
       // Create a container for the new page
       if (!this.container) {
         this.container = document.getElementById('root');
         
         if (!this.container) {
           console.error('PageSystem: Root container not found');
-          return;
+          return false;
         }
       }
       
-      // Clear the container
-      this.container.innerHTML = '';
+      // Settle a transition that is still playing
+      this.transitions.finish();
       
-      // Create a loading indicator
-      const loadingElement = document.createElement('div');
-      loadingElement.className = 'page-loading';
-      loadingElement.textContent = `Loading ${route} page...`;
-      this.container.appendChild(loadingElement);
+      // The current page stays visible while the next one is imported
+      let loadingElement = null;
+      if (!this.pageModules.has(pageName)) {
+        loadingElement = document.createElement('div');
+        loadingElement.className = 'page-loading';
+        loadingElement.textContent = `Loading ${pageName} page...`;
+        this.container.appendChild(loadingElement);
+      }
       
       // Try to import the page module
       try {
-        // Check if we already have the module loaded
-        let pageModule = this.pageModules.get(route);
+        const definition = await this._loadPageModule(pageName);
+        loadingElement?.remove();
+        if (isStale()) return false;
         
-        if (!pageModule) {
-          // Dynamically import the page module using the correct base path
-          const pagePath = `${this.basePath}/pages/${route}/${route}.js`;
-          console.info(`PageSystem: Loading page module from: ${pagePath}`);
-          
-          const module = await import(pagePath);
-          
-          // Handle different export formats (class or object)
-          if (module.default) {
-            pageModule = module.default;
-          } else if (module.HomePage) {
-            // For pages exporting a class like HomePage
-            pageModule = new module.HomePage(this.world.engine);
-          } else {
-            // Try to use whatever is exported
-            const exportedItem = Object.values(module)[0];
-            if (typeof exportedItem === 'function') {
-              // It's likely a class constructor
-              pageModule = new exportedItem(this.world.engine);
-            } else {
-              pageModule = exportedItem;
-            }
-          }
-          
-          // Store for future use
-          this.pageModules.set(route, pageModule);
-          
-          // Automatically load corresponding CSS file using the correct base path
-          const cssPath = `${this.basePath}/pages/${route}/${route}.css`;
-          await this.cssLoader.loadCSS(cssPath).catch(err => {
-            console.warn(`CSS for page "${route}" not found or failed to load.`);
-          });
-        }
+        const pageModule = this._getPageInstance(pageName, definition);
         
         // Create an entity for the page
-        const pageEntityId = this.world.createEntity();
+        pageEntityId = this.world.createEntity();
         
-        // Create page container element
+        // Create page container element; it stays hidden until the page is
+        // initialized and the current page makes way for it
         const pageElement = document.createElement('div');
-        pageElement.id = `page-${route}`;
+        pageElement.id = `page-${pageName}`;
         pageElement.className = 'page-container';
+        pageElement.hidden = true;
         
-        // Remove loading indicator and add page element
-        this.container.innerHTML = '';
-        this.container.appendChild(pageElement);
+        // Ahead of the current page, so document-order lookups find the new one
+        const currentElement = this.currentPageEntity
+          ? this.world.getComponent(this.currentPageEntity, 'domElement')?.element || null
+          : null;
+        this.container.insertBefore(pageElement, currentElement?.parentElement === this.container ? currentElement : null);
         
         // Add necessary components
         this.world.addComponent(pageEntityId, 'page', {
-          route: route,
-          active: true
+          route: match.path,
+          active: true,
+          metadata: { page: pageName, params: match.params, query: match.query }
         });
         
         this.world.addComponent(pageEntityId, 'domElement', {
@@ -177,16 +598,40 @@ class PageSystem extends System {
           container: pageElement
         });
         
-        // Initialize the page - pass world as parameter instead of setting ecs property
+        // Initialize the page - pass world as parameter instead of setting ecs property.
+        // Entities and listeners created through the context are children of the
+        // page entity, so they are destroyed together with the page.
         if (typeof pageModule.init === 'function') {
           await pageModule.init({
             world: this.world,
             engine: this.world.engine,
+            entityId: pageEntityId,
+            params: match.params,
+            query: match.query,
+            route: match,
             getComponent: (type) => this.world.getComponent(pageEntityId, type),
-            addComponent: (type, data) => this.world.addComponent(pageEntityId, type, data)
+            addComponent: (type, data) => this.world.addComponent(pageEntityId, type, data),
+            createEntity: (options) => this._createPageChild(pageEntityId, this.world.createEntity(options)),
+            on: (eventType, callback, priority) => {
+              const eventSystem = this.world.getSystem('event');
+              return eventSystem
+                ? this._createPageChild(pageEntityId, eventSystem.on(eventType, callback, priority))
+                : null;
+            }
           });
+          
+          if (isStale()) {
+            // The current page stays until a newer navigation replaces it,
+            // which may still be cancelled by its guards
+            this.world.destroyEntity(pageEntityId);
+            return false;
+          }
         }
         
+        // Clean up previous page; its element is kept for the transition
+        const outgoing = this._unloadCurrentPage();
+        pageElement.hidden = false;
+        
         // Call mount if it exists
         if (typeof pageModule.mount === 'function') {
           pageModule.mount();
@@ -195,24 +640,41 @@ class PageSystem extends System {
         // Update references
         this.currentPageEntity = pageEntityId;
         this.currentPage = pageModule;
+        this.currentRoute = match.path;
+        this.currentLocation = this._formatLocation(match);
+        this.currentMatch = match;
         
-        console.info(`PageSystem: Loaded page "${route}"`);
+        console.info(`PageSystem: Loaded page "${pageName}" for "${match.path}"`);
         
         // Notify via event system
         if (this.world.getSystem('event')) {
           this.world.getSystem('event').emit('page:loaded', {
-            route: route,
+            route: match.path,
+            page: pageName,
+            params: match.params,
             entityId: pageEntityId
-          });
+          }, pageEntityId, { mode: 'immediate' });
         }
+        
+        await this.transitions.run(outgoing, pageElement, match.meta.transition);
+        return !isStale();
       } catch (error) {
-        console.error(`PageSystem: Failed to load page "${route}":`, error);
+        console.error(`PageSystem: Failed to load page "${pageName}":`, error);
+        
+        // A page whose init failed never became current; drop it with
+        // whatever it created
+        if (pageEntityId !== null && pageEntityId !== this.currentPageEntity) {
+          this.world.destroyEntity(pageEntityId);
+        }
+        if (isStale()) return false;
         
         // Show error to user
+        this.transitions.finish();
+        this._unloadCurrentPage();
         this.container.innerHTML = `
           <div class="page-error">
             <h2>Error Loading Page</h2>
-            <p>Failed to load the "${route}" page.</p>
+            <p>Failed to load the "${pageName}" page.</p>
             <pre>${error.message}</pre>
           </div>
         `;
@@ -220,6 +682,190 @@ class PageSystem extends System {
     } catch (error) {
       console.error('PageSystem: Error in loadPage:', error);
     }
+    
+    return false;
+  }
+  
+  /**
+   * Unmount the current page and destroy its entity. The page element is
+   * put back in the container, inert, so it can be animated out.
+   * @returns {HTMLElement|null} The outgoing page element, if any
+   * @private
+   */
+  _unloadCurrentPage() {
+    if (!this.currentPageEntity) return null;
+    
+    const outgoing = this.world.getComponent(this.currentPageEntity, 'domElement')?.element || null;
+    
+    // Call unmount on the page module if it exists
+    if (this.currentPage && typeof this.currentPage.unmount === 'function') {
+      this.currentPage.unmount();
+    }
+    
+    // Clean up the page entity and everything parented to it
+    // (this detaches the page element from the document)
+    this.world.destroyEntity(this.currentPageEntity);
+    this.currentPageEntity = null;
+    this.currentPage = null;
+    this.currentRoute = null;
+    this.currentLocation = null;
+    this.currentMatch = null;
+    
+    if (!outgoing) return null;
+    
+    outgoing.removeAttribute('id');
+    outgoing.classList.add('page-leaving');
+    outgoing.setAttribute('aria-hidden', 'true');
+    outgoing.inert = true;
+    this.container.appendChild(outgoing);
+    return outgoing;
+  }
+  
+  /**
+   * Import a page module ahead of navigation, so visiting it is instant
+   * @param {string} location - Location whose page to prefetch
+   * @returns {Promise<Object|null>} Page definition, or null if the location
+   *   has no page or it failed to load
+   */
+  prefetch(location) {
+    const match = this.router.resolve(location.replace(/^[#/]+/, ''));
+    if (!match || !match.page) return Promise.resolve(null);
+    
+    return this._loadPageModule(match.page, { use: false }).catch(error => {
+      console.warn(`PageSystem: Failed to prefetch page "${match.page}":`, error);
+      return null;
+    });
+  }
+  
+  /**
+   * Import a page module and its CSS, or return it from the cache
+   * @param {string} pageName - Page module folder under `pages/`
+   * @param {Object} [options={}] - Load options
+   * @param {boolean} [options.use=true] - Mark a cached module as recently
+   *   used; prefetches pass false
+   * @returns {Promise<Object|Function>} Page definition: the exported page
+   *   object, or a page class
+   * @private
+   */
+  async _loadPageModule(pageName, { use = true } = {}) {
+    // Check if we already have the module loaded (and mark it as recently used)
+    const entry = this.pageModules.get(pageName);
+    if (entry) {
+      if (use) {
+        this.pageModules.delete(pageName);
+        this.pageModules.set(pageName, entry);
+      }
+      return entry.definition;
+    }
+    
+    // A prefetch may already be importing it
+    if (!this.pendingModules.has(pageName)) {
+      const pending = this._importPageModule(pageName).finally(() => {
+        this.pendingModules.delete(pageName);
+      });
+      this.pendingModules.set(pageName, pending);
+    }
+    
+    return this.pendingModules.get(pageName);
+  }
+  
+  /**
+   * Import a page module and its CSS and add it to the cache
+   * @param {string} pageName - Page module folder under `pages/`
+   * @returns {Promise<Object|Function>} Page definition
+   * @private
+   */
+  async _importPageModule(pageName) {
+    // Dynamically import the page module using the correct base path
+    const pagePath = `${this.basePath}/pages/${pageName}/${pageName}.js`;
+    console.info(`PageSystem: Loading page module from: ${pagePath}`);
+    
+    const module = await import(pagePath);
+    
+    // Handle different export formats (class or object)
+    const definition = module.default || module.HomePage || Object.values(module)[0];
+    
+    // Automatically load corresponding CSS file using the correct base path
+    const cssPath = `${this.basePath}/pages/${pageName}/${pageName}.css`;
+    await this.cssLoader.loadCSS(cssPath).catch(err => {
+      console.warn(`CSS for page "${pageName}" not found or failed to load.`);
+    });
+    
+    // Store for future use, dropping the least recently used modules
+    this.pageModules.set(pageName, { definition, instance: null });
+    while (this.pageModules.size > Math.max(this.cachePolicy.size, 1)) {
+      const oldest = this.pageModules.keys().next().value;
+      this.pageModules.delete(oldest);
+      console.info(`PageSystem: Evicted page module "${oldest}" from the cache`);
+    }
+    
+    return definition;
+  }
+  
+  /**
+   * Get the page object to use for a visit
+   * @param {string} pageName - Page module folder under `pages/`
+   * @param {Object|Function} definition - Page definition
+   * @returns {Object} Page object
+   * @private
+   */
+  _getPageInstance(pageName, definition) {
+    const entry = this.pageModules.get(pageName);
+    if (this.cachePolicy.reuse && entry?.instance) {
+      return entry.instance;
+    }
+    
+    let instance;
+    if (typeof definition === 'function') {
+      // It's likely a class constructor
+      instance = new definition(this.world.engine);
+    } else if (this.cachePolicy.reuse) {
+      instance = definition;
+    } else {
+      // Page objects are singletons; give this visit its own copy of their
+      // state, sharing the methods
+      instance = Object.create(Object.getPrototypeOf(definition));
+      for (const [key, descriptor] of Object.entries(Object.getOwnPropertyDescriptors(definition))) {
+        if ('value' in descriptor && typeof descriptor.value !== 'function') {
+          descriptor.value = this._copyPageState(descriptor.value);
+        }
+        Object.defineProperty(instance, key, descriptor);
+      }
+    }
+    
+    if (this.cachePolicy.reuse && entry) {
+      entry.instance = instance;
+    }
+    return instance;
+  }
+  
+  /**
+   * Deep-copy a page object property, keeping values that cannot be
+   * cloned (DOM nodes, objects holding functions) as they are
+   * @param {*} value - Property value
+   * @returns {*} Copy of the value
+   * @private
+   */
+  _copyPageState(value) {
+    if (value === null || typeof value !== 'object') return value;
+    
+    try {
+      return structuredClone(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  
+  /**
+   * Attach an entity to the page entity so it shares the page's lifetime
+   * @param {number} pageEntityId - Page entity ID
+   * @param {number} entityId - Entity created on behalf of the page
+   * @returns {number} The entity ID
+   * @private
+   */
+  _createPageChild(pageEntityId, entityId) {
+    this.world.setParent(entityId, pageEntityId);
+    return entityId;
   }
   
   update() {
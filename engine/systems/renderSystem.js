@@ -2,6 +2,8 @@
  * @fileoverview Render System for ECS
  * 
  * Handles rendering entities with DOM elements and appearance components.
+ * Only entities whose `content` or `appearance` was added or marked changed
+ * since the last update (see World.markChanged) are written to the DOM.
  */
 import { System } from '../core/system.js';
 
@@ -11,35 +13,47 @@ import { System } from '../core/system.js';
 class RenderSystem extends System {
   init(world) {
     super.init(world);
+    
+    this.contentQuery = world.query({ all: ['domElement', 'content'] });
+    this.appearanceQuery = world.query({ all: ['domElement', 'appearance'] });
+    
     console.info('RenderSystem: Initialized');
     return this;
   }
 
   update() {
     // Update content for entities with domElement and content components
-    const contentEntities = this.world.getEntitiesWith('domElement', 'content');
-    for (const entityId of contentEntities) {
+    for (const entityId of this._getDirtyEntities(this.contentQuery)) {
       const domElement = this.world.getComponent(entityId, 'domElement');
       const content = this.world.getComponent(entityId, 'content');
 
-      if (content.needsUpdate && domElement.element) {
+      if (domElement.element) {
         domElement.element.innerHTML = content.value;
-        content.needsUpdate = false;
       }
     }
 
     // Update styles for entities with domElement and appearance components
-    const appearanceEntities = this.world.getEntitiesWith('domElement', 'appearance');
-    for (const entityId of appearanceEntities) {
+    for (const entityId of this._getDirtyEntities(this.appearanceQuery)) {
       const domElement = this.world.getComponent(entityId, 'domElement');
       const appearance = this.world.getComponent(entityId, 'appearance');
 
-      if (appearance.needsUpdate && domElement.element) {
+      if (domElement.element) {
         Object.assign(domElement.element.style, appearance.styles);
-        appearance.needsUpdate = false;
       }
     }
   }
+
+  /**
+   * Collect entities that joined a query or changed since the last update,
+   * and reset the query's tracking so each change is rendered once
+   * @param {Query} query - Tracking query
+   * @returns {Set<number>} Entity IDs that need rendering
+   * @private
+   */
+  _getDirtyEntities(query) {
+    const { added, changed } = query.consume();
+    return new Set([...added, ...changed]);
+  }
 }
 
 export { RenderSystem };
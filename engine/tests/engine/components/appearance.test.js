@@ -0,0 +1,54 @@
+// Tests for the appearance component's derived inline styles
+import { testRunner, assert } from '../../test-runner.js';
+import { World } from '../../../core/world.js';
+import { APPEARANCE, appearanceSchema } from '../../../components/appearance.js';
+
+function createAppearance(data) {
+  const world = new World();
+  world.registerSchema(APPEARANCE, appearanceSchema);
+  const entityId = world.createEntity();
+  world.addComponent(entityId, APPEARANCE, data);
+  return { world, entityId, appearance: world.getComponent(entityId, APPEARANCE) };
+}
+
+testRunner.describe('Appearance styles', () => {
+  testRunner.addTest('derives opacity and z-index', () => {
+    const { appearance } = createAppearance({ opacity: 0.5, layer: 3 });
+
+    assert.equal(appearance.styles.opacity, '0.5', 'Opacity should be copied to styles');
+    assert.equal(appearance.styles.zIndex, '3', 'Layer should become the z-index');
+  });
+
+  testRunner.addTest('keeps the caller display while visible', () => {
+    const { appearance } = createAppearance({ styles: { display: 'flex' } });
+
+    assert.equal(appearance.styles.display, 'flex', 'Caller display should not be overwritten');
+  });
+
+  testRunner.addTest('hides with display none and restores the caller display', () => {
+    const { world, entityId, appearance } = createAppearance({ styles: { display: 'grid' } });
+
+    appearance.visible = false;
+    world.markChanged(entityId, APPEARANCE);
+    assert.equal(appearance.styles.display, 'none', 'Hidden entity should not be displayed');
+
+    world.markChanged(entityId, APPEARANCE);
+    assert.equal(appearance.styles.display, 'none', 'Staying hidden should keep display none');
+
+    appearance.visible = true;
+    world.markChanged(entityId, APPEARANCE);
+    assert.equal(appearance.styles.display, 'grid', 'Showing again should restore the caller display');
+  });
+
+  testRunner.addTest('clears display when shown without a caller display', () => {
+    const { world, entityId, appearance } = createAppearance({ visible: false });
+    assert.equal(appearance.styles.display, 'none', 'Entity should start hidden');
+
+    appearance.visible = true;
+    world.markChanged(entityId, APPEARANCE);
+    assert.equal(appearance.styles.display, '', 'Display should be reset so the element shows');
+  });
+});
+
+// Run Tests
+testRunner.run();
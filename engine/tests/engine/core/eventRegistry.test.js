@@ -0,0 +1,69 @@
+// Tests for EventRegistry: declaring event types, payload validation and policies
+import { testRunner, assert } from '../../test-runner.js';
+import { EventRegistry } from '../../../core/eventRegistry.js';
+
+const pageLoaded = {
+  description: 'A page module finished loading',
+  payload: {
+    route: { type: 'string', required: true },
+    entityId: { type: 'number' }
+  }
+};
+
+testRunner.describe('EventRegistry', () => {
+  testRunner.addTest('registers and looks up event types', () => {
+    const registry = new EventRegistry();
+    registry.register('page:loaded', pageLoaded);
+
+    assert.true(registry.has('page:loaded'), 'Type should be registered');
+    assert.equal(registry.get('page:loaded').description, pageLoaded.description, 'Description should be kept');
+    assert.equal(registry.get('page:missing'), null, 'Unknown type should give null');
+
+    assert.true(registry.unregister('page:loaded'), 'Registered type should be removed');
+    assert.false(registry.has('page:loaded'), 'Type should be gone');
+  });
+
+  testRunner.addTest('rejects empty event types', () => {
+    const registry = new EventRegistry();
+    const error = assert.throws(() => registry.register(''));
+    assert.true(error instanceof TypeError, 'Empty type should be a TypeError');
+  });
+
+  testRunner.addTest('validates payloads against the schema', () => {
+    const registry = new EventRegistry();
+    registry.register('page:loaded', pageLoaded);
+
+    assert.deepEqual(registry.validate('page:loaded', { route: 'home', entityId: 3 }), [], 'Valid payload should have no violations');
+    assert.true(registry.validate('page:loaded', { entityId: 3 }).length > 0, 'Missing required field should be reported');
+    assert.true(registry.validate('page:loaded', { route: 42 }).length > 0, 'Wrong type should be reported');
+    assert.true(registry.validate('page:loaded', null).length > 0, 'Non-object payload should be reported');
+    assert.equal(registry.validate('page:unknown', {}), null, 'Unregistered type should give null');
+  });
+
+  testRunner.addTest('lists the catalogue sorted by type', () => {
+    const registry = new EventRegistry();
+    registry.register('theme:changed', { payload: { theme: { type: 'string' } } });
+    registry.register('page:loaded', pageLoaded);
+
+    const catalogue = registry.list();
+    assert.deepEqual(catalogue.map(entry => entry.type), ['page:loaded', 'theme:changed'], 'Entries should be sorted');
+    assert.equal(catalogue[1].payload.theme.type, 'string', 'Payload properties should be listed');
+  });
+
+  testRunner.addTest('normalizes and checks policies', () => {
+    const registry = new EventRegistry();
+    registry.register('ui:scroll', { policy: 'coalesce' });
+    registry.register('ui:resize', { policy: { type: 'throttle', hz: 10 } });
+
+    assert.deepEqual(registry.getPolicy('ui:scroll'), { type: 'coalesce' }, 'Policy name should become an object');
+    assert.equal(registry.getPolicy('ui:resize').hz, 10, 'Policy options should be kept');
+    assert.equal(registry.getPolicy('ui:click'), null, 'Unregistered type should have no policy');
+
+    assert.throws(() => registry.register('ui:a', { policy: 'sometimes' }), 'Unknown policy should be rejected');
+    assert.throws(() => registry.register('ui:b', { policy: { type: 'throttle' } }), 'Throttle without hz should be rejected');
+    assert.throws(() => registry.register('ui:c', { policy: { type: 'debounce', wait: -1 } }), 'Negative wait should be rejected');
+  });
+});
+
+// Run Tests
+testRunner.run();
@@ -0,0 +1,159 @@
+// Tests for world.query(): All/Any/None filters and added/removed/changed tracking
+import { testRunner, assert } from '../../test-runner.js';
+import { World } from '../../../core/world.js';
+import { RenderSystem } from '../../../systems/renderSystem.js';
+
+testRunner.describe('Query filters', () => {
+  testRunner.addTest('matches All, Any and None filters', () => {
+    const world = new World();
+    const card = world.createEntity();
+    const label = world.createEntity();
+    const hidden = world.createEntity();
+    world.addComponent(card, 'domElement', {});
+    world.addComponent(card, 'content', {});
+    world.addComponent(label, 'domElement', {});
+    world.addComponent(label, 'appearance', {});
+    world.addComponent(hidden, 'domElement', {});
+    world.addComponent(hidden, 'content', {});
+    world.addComponent(hidden, 'hidden', {});
+
+    const query = world.query({ all: ['domElement'], any: ['content', 'appearance'], none: ['hidden'] });
+
+    assert.deepEqual(query.getEntities().sort(), [card, label].sort(), 'Only visible entities with content or appearance should match');
+  });
+
+  testRunner.addTest('a None-only query matches entities without components', () => {
+    const world = new World();
+    const bare = world.createEntity();
+    const hidden = world.createEntity();
+    world.addComponent(hidden, 'hidden', {});
+
+    const query = world.query({ none: ['hidden'] });
+
+    assert.deepEqual(query.getEntities(), [bare], 'Entity with no components should match');
+  });
+});
+
+testRunner.describe('Query tracking', () => {
+  testRunner.addTest('reports entities already matching as added on the first read', () => {
+    const world = new World();
+    const entity = world.createEntity();
+    world.addComponent(entity, 'content', {});
+
+    const query = world.query({ all: ['content'] });
+
+    assert.deepEqual(query.consume().added, [entity], 'Existing match should be reported once');
+    assert.deepEqual(query.consume().added, [], 'Consumed changes should not be reported again');
+  });
+
+  testRunner.addTest('records added, removed and changed entities', () => {
+    const world = new World();
+    const query = world.query({ all: ['content'] });
+    const kept = world.createEntity();
+    const dropped = world.createEntity();
+    world.addComponent(kept, 'content', {});
+    world.addComponent(dropped, 'content', {});
+    query.consume();
+
+    world.markChanged(kept, 'content');
+    world.removeComponent(dropped, 'content');
+    const added = world.createEntity();
+    world.addComponent(added, 'content', {});
+
+    const changes = query.consume();
+    assert.deepEqual(changes.added, [added], 'New match should be added');
+    assert.deepEqual(changes.removed, [dropped], 'Entity that lost the component should be removed');
+    assert.deepEqual(changes.changed, [kept], 'Marked entity should be changed');
+  });
+
+  testRunner.addTest('only watches the tracked component types', () => {
+    const world = new World();
+    const entity = world.createEntity();
+    world.addComponent(entity, 'domElement', {});
+    world.addComponent(entity, 'content', {});
+    const query = world.query({ all: ['domElement'], changed: ['content'] });
+    query.consume();
+
+    world.markChanged(entity, 'domElement');
+    assert.deepEqual(query.consume().changed, [], 'Unwatched component should not count');
+
+    world.markChanged(entity, 'content');
+    assert.deepEqual(query.consume().changed, [entity], 'Watched component should count');
+  });
+
+  testRunner.addTest('an entity added and removed before a read is not reported', () => {
+    const world = new World();
+    const query = world.query({ all: ['content'] });
+    const entity = world.createEntity();
+    world.addComponent(entity, 'content', {});
+    world.destroyEntity(entity);
+
+    const changes = query.consume();
+    assert.equal(changes.added.length + changes.removed.length, 0, 'Short-lived entity should cancel out');
+  });
+
+  testRunner.addTest('changes survive endFrame until the consumer reads them', () => {
+    const world = new World();
+    const query = world.query({ all: ['content'] });
+    const entity = world.createEntity();
+    world.addComponent(entity, 'content', {});
+    query.consume();
+
+    world.markChanged(entity, 'content');
+    world.endFrame();
+
+    assert.deepEqual(query.consume().changed, [entity], 'Change made late in a frame should not be lost');
+  });
+
+  testRunner.addTest('each consumer reads its own changes', () => {
+    const world = new World();
+    const first = world.query({ all: ['content'] });
+    const second = world.query({ all: ['content'] });
+    const entity = world.createEntity();
+    world.addComponent(entity, 'content', {});
+
+    assert.deepEqual(first.consume().added, [entity], 'First consumer should see the entity');
+    assert.deepEqual(second.consume().added, [entity], 'Second consumer should see it as well');
+  });
+
+  testRunner.addTest('removeQuery stops tracking', () => {
+    const world = new World();
+    const query = world.query({ all: ['content'] });
+    world.removeQuery(query);
+
+    const entity = world.createEntity();
+    world.addComponent(entity, 'content', {});
+    assert.deepEqual(query.consume().added, [], 'Released query should not track');
+  });
+});
+
+testRunner.describe('RenderSystem', () => {
+  testRunner.addTest('renders a change once, however many times it updates', () => {
+    const world = new World();
+    const renderSystem = new RenderSystem();
+    renderSystem.init(world);
+
+    let writes = 0;
+    const element = {
+      set innerHTML(value) { writes++; }
+    };
+    const entity = world.createEntity();
+    world.addComponent(entity, 'domElement', { element });
+    world.addComponent(entity, 'content', { value: 'Hello' });
+
+    // Several fixed steps and a variable step in one frame
+    renderSystem.update();
+    renderSystem.update();
+    renderSystem.update();
+    assert.equal(writes, 1, 'New entity should be rendered once');
+
+    world.endFrame();
+    world.markChanged(entity, 'content');
+    renderSystem.update();
+    renderSystem.update();
+    assert.equal(writes, 2, 'Change should be rendered once');
+  });
+});
+
+// Run Tests
+testRunner.run();
@@ -0,0 +1,126 @@
+// Tests for Router: route matching, params, nested routes, redirects and the not-found route
+import { testRunner, assert } from '../../test-runner.js';
+import { Router } from '../../../core/router.js';
+import { routes } from '../../../../pages/routes.js';
+
+function createRouter() {
+  return new Router([
+    { path: '', redirect: 'home' },
+    { path: 'home', page: 'home', meta: { title: 'Home' } },
+    { path: 'old-home', redirect: 'home' },
+    {
+      path: 'projects',
+      page: 'projects',
+      meta: { section: 'work' },
+      children: [
+        { path: ':id', meta: { transition: 'slide' } },
+        { path: ':id/files/*', page: 'files' }
+      ]
+    },
+    { path: 'docs/:topic', page: params => `docs-${params.topic}` },
+    { path: 'go/:target', redirect: params => params.target },
+    { path: '*', page: 'not-found', notFound: true }
+  ]);
+}
+
+testRunner.describe('Router', () => {
+  testRunner.addTest('parses paths and query strings', () => {
+    assert.deepEqual(Router.parse('/projects//abc/?tab=readme&x=1'), {
+      path: 'projects/abc',
+      query: { tab: 'readme', x: '1' }
+    }, 'Slashes should be normalized and the query split off');
+  });
+
+  testRunner.addTest('matches static routes and merges meta', () => {
+    const match = createRouter().resolve('home');
+    assert.equal(match.page, 'home', 'Page should be resolved');
+    assert.deepEqual(match.meta, { title: 'Home' }, 'Meta should be passed along');
+    assert.false(match.notFound, 'Match should not be the not-found route');
+  });
+
+  testRunner.addTest('captures params in nested routes', () => {
+    const match = createRouter().resolve('projects/Portfolio%20Engine?tab=readme');
+    assert.equal(match.page, 'projects', 'Child should inherit the parent page');
+    assert.deepEqual(match.params, { id: 'Portfolio Engine' }, 'Param should be decoded');
+    assert.deepEqual(match.query, { tab: 'readme' }, 'Query should be parsed');
+    assert.deepEqual(match.meta, { section: 'work', transition: 'slide' }, 'Parent and child meta should be merged');
+    assert.equal(match.matched.length, 2, 'Parent and child should be matched');
+  });
+
+  testRunner.addTest('captures the rest of the path with *', () => {
+    const match = createRouter().resolve('projects/engine/files/src/core/world.js');
+    assert.equal(match.page, 'files', 'Child page should override the parent');
+    assert.deepEqual(match.params, { id: 'engine', rest: 'src/core/world.js' }, 'Rest should be captured');
+  });
+
+  testRunner.addTest('resolves page functions', () => {
+    assert.equal(createRouter().resolve('docs/events').page, 'docs-events', 'Page function should get the params');
+  });
+
+  testRunner.addTest('follows redirects', () => {
+    const router = createRouter();
+    const match = router.resolve('');
+    assert.equal(match.page, 'home', 'Empty path should redirect home');
+    assert.equal(match.redirectedFrom, '', 'Original path should be kept');
+
+    const chained = router.resolve('go/old-home');
+    assert.equal(chained.page, 'home', 'Redirects should be followed in a chain');
+    assert.equal(chained.redirectedFrom, 'go/old-home', 'First path should be kept');
+  });
+
+  testRunner.addTest('gives up on redirect loops', () => {
+    const router = new Router([
+      { path: 'a', redirect: 'b' },
+      { path: 'b', redirect: 'a' }
+    ]);
+    const error = console.error;
+    console.error = () => {};
+    try {
+      assert.equal(router.resolve('a'), null, 'Loop should resolve to null');
+    } finally {
+      console.error = error;
+    }
+  });
+
+  testRunner.addTest('falls back to the not-found route', () => {
+    const match = createRouter().resolve('nowhere/at/all');
+    assert.true(match.notFound, 'Unknown path should be not found');
+    assert.equal(match.page, 'not-found', 'Not-found page should be used');
+    assert.equal(match.params.rest, 'nowhere/at/all', 'Unmatched path should be passed on');
+  });
+
+  testRunner.addTest('treats paths that cannot be decoded as not found', () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      const match = createRouter().resolve('projects/%');
+      assert.true(match.notFound, 'Malformed path should be not found');
+      assert.equal(match.params.rest, 'projects/%', 'Raw path should be passed on');
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  testRunner.addTest('returns null without a not-found route', () => {
+    assert.equal(new Router([{ path: 'home', page: 'home' }]).resolve('missing'), null, 'Nothing should match');
+  });
+});
+
+testRunner.describe('Route table', () => {
+  testRunner.addTest('maps every page the site links to', () => {
+    const router = new Router(routes);
+    const pages = ['home', 'about', 'projects', 'learn', 'resume', 'vision', 'contact', 'engine-showcase', 'engine-status']
+      .map(path => router.resolve(path).page);
+
+    assert.deepEqual(pages, ['home', 'about', 'projects', 'learn', 'resume', 'vision', 'contact', 'engine-showcase', 'engine-status'], 'Each location should load its own page');
+  });
+
+  testRunner.addTest('opens the engine status page at devtools', () => {
+    const match = new Router(routes).resolve('devtools');
+    assert.equal(match.page, 'engine-status', 'devtools should load the engine status page');
+    assert.equal(match.redirectedFrom, null, 'The location should stay devtools');
+  });
+});
+
+// Run Tests
+testRunner.run();
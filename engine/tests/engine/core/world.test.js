@@ -0,0 +1,517 @@
+// Tests for World: archetype storage and queries, generational entity handles, snapshots, schema validation, hierarchy, lifecycle hooks, reactive components and deferred commands
+import { testRunner, assert } from '../../test-runner.js';
+import { World, toSerializable } from '../../../core/world.js';
+import { EngineLoop } from '../../../loop.js';
+import { createEvents } from '../../fixtures.js';
+
+const healthSchema = {
+  properties: {
+    value: { type: 'number', required: true },
+    max: { type: 'number', default: 100 }
+  }
+};
+
+// Silence the expected validation warnings
+function quietly(fn) {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.warn = warn;
+  }
+}
+
+testRunner.describe('Archetypes and queries', () => {
+  testRunner.addTest('queries update when components are added or removed', () => {
+    const world = new World();
+    const a = world.createEntity();
+    const b = world.createEntity();
+    world.addComponent(a, 'domElement', {});
+    world.addComponent(a, 'content', {});
+    world.addComponent(b, 'domElement', {});
+
+    assert.equal(world.getEntitiesWith('domElement', 'content').length, 1, 'Only one entity should match');
+
+    world.addComponent(b, 'content', {});
+    assert.equal(world.getEntitiesWith('content', 'domElement').length, 2, 'Query should pick up the new match');
+
+    world.removeComponent(a, 'content');
+    world.destroyEntity(b);
+    assert.equal(world.getEntitiesWith('domElement', 'content').length, 0, 'Query should drop removed entities');
+    assert.equal(world.getQuery(['content', 'domElement']), world.getQuery(['domElement', 'content']), 'Queries should be cached by signature');
+  });
+
+  testRunner.addTest('entities with the same components share an archetype', () => {
+    const world = new World();
+    const a = world.createEntity();
+    const b = world.createEntity();
+    world.addComponent(a, 'content', {});
+    world.addComponent(a, 'domElement', {});
+    world.addComponent(b, 'domElement', {});
+    world.addComponent(b, 'content', {});
+
+    const archetype = world.entities.get(a).archetype;
+    assert.equal(world.entities.get(b).archetype, archetype, 'Component order should not matter');
+    assert.true(archetype.entities.has(a) && archetype.entities.has(b), 'Archetype should list both entities');
+  });
+
+  testRunner.addTest('queries see entities created after destroy()', () => {
+    const world = new World();
+    world.addComponent(world.createEntity(), 'content', {});
+    world.destroy();
+
+    const bare = world.createEntity();
+    const card = world.createEntity();
+    world.addComponent(card, 'content', {});
+
+    assert.deepEqual(world.getEntitiesWith('content'), [card], 'New component archetype should be registered');
+    assert.deepEqual(world.query({ none: ['content'] }).getEntities(), [bare], 'Empty archetype should be registered');
+  });
+});
+
+testRunner.describe('Entity handles', () => {
+  testRunner.addTest('recycled slots get a new generation', () => {
+    const world = new World();
+    const first = world.createEntity();
+    world.destroyEntity(first);
+    const second = world.createEntity();
+
+    assert.equal(World.getEntityIndex(second), World.getEntityIndex(first), 'Slot should be reused');
+    assert.equal(World.getEntityGeneration(second), World.getEntityGeneration(first) + 1, 'Generation should go up');
+    assert.notEqual(second, first, 'Recycled handle should differ from the stale one');
+    assert.true(world.isAlive(second), 'New handle should be alive');
+  });
+
+  testRunner.addTest('stale handles do not resolve', () => {
+    const world = new World();
+    const first = world.createEntity();
+    world.addComponent(first, 'content', { text: 'old' });
+    world.destroyEntity(first);
+    const second = world.createEntity();
+    world.addComponent(second, 'content', { text: 'new' });
+
+    assert.true(world.isStale(first), 'Old handle should be stale');
+    assert.false(world.isStale(second), 'Live handle should not be stale');
+    assert.false(world.isStale(12345), 'Handle that never existed should not be stale');
+    assert.equal(world.getComponent(first, 'content'), null, 'Stale handle should not read the new entity');
+    assert.false(world.hasComponent(first, 'content'), 'Stale handle should have no components');
+  });
+
+  testRunner.addTest('warnings tell stale handles from unknown ones', () => {
+    const world = new World();
+    const first = world.createEntity();
+    world.destroyEntity(first);
+    world.createEntity();
+
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+    try {
+      world.addComponent(first, 'content', {});
+      world.addComponent(12345, 'content', {});
+    } finally {
+      console.warn = warn;
+    }
+
+    const index = World.getEntityIndex(first);
+    assert.equal(warnings[0], `Cannot add component: entity ${index} generation 0 no longer exists (slot is at generation 1)`, 'Stale handle should name the generations');
+    assert.equal(warnings[1], 'Cannot add component: Entity 12345 does not exist', 'Unknown handle should be reported as missing');
+  });
+});
+
+testRunner.describe('Snapshots', () => {
+  testRunner.addTest('round-trip entities, components and hierarchy through JSON', () => {
+    const world = new World();
+    const page = world.createEntity();
+    const button = world.createEntity();
+    world.setParent(button, page);
+    world.addComponent(page, 'page', { route: 'home', onClick: () => {} });
+    world.destroyEntity(world.createEntity());
+
+    const restored = World.fromJSON(JSON.stringify(world));
+
+    assert.equal(restored.getComponent(page, 'page').route, 'home', 'Component data should be restored');
+    assert.equal(restored.getComponent(page, 'page').onClick, undefined, 'Callbacks should be skipped');
+    assert.equal(restored.getParent(button), page, 'Hierarchy should be restored');
+    assert.deepEqual(restored.getEntitiesWith('page'), [page], 'Queries should see restored entities');
+    assert.equal(restored.createEntity(), world.createEntity(), 'Both worlds should hand out the same next handle');
+  });
+
+  testRunner.addTest('serialize and deserialize hooks convert runtime data', () => {
+    const elements = { hero: { id: 'hero', nodeType: 1 } };
+    const schema = {
+      serialize: data => ({ elementId: data.element.id }),
+      deserialize: data => ({ element: elements[data.elementId] })
+    };
+    const world = new World();
+    world.registerSchema('domElement', schema);
+    const entityId = world.createEntity();
+    world.addComponent(entityId, 'domElement', { element: elements.hero });
+
+    const snapshot = JSON.parse(JSON.stringify(world));
+    assert.deepEqual(snapshot.entities[0].components.domElement, { elementId: 'hero' }, 'serialize should replace the DOM element');
+
+    const restored = World.fromJSON(snapshot, { schemas: { domElement: schema } });
+    assert.equal(restored.getComponent(entityId, 'domElement').element, elements.hero, 'deserialize should look the element up again');
+  });
+
+  testRunner.addTest('event entities are skipped and their slots stay retired', () => {
+    const world = new World();
+    const page = world.createEntity();
+    const event = world.createEntity({ isEventEntity: true });
+
+    const snapshot = world.toJSON();
+    assert.deepEqual(snapshot.entities.map(entity => entity.id), [page], 'Event entity should be left out');
+    assert.equal(world.toJSON({ includeEventEntities: true }).entities.length, 2, 'includeEventEntities should keep it');
+
+    const restored = World.fromJSON(snapshot);
+    assert.true(restored.isStale(event), 'Skipped event handle should be stale');
+    assert.notEqual(restored.createEntity(), event, 'Its slot should get a new generation');
+  });
+
+  testRunner.addTest('shared references are kept and cycles dropped', () => {
+    const shared = { value: 1 };
+    const cyclic = { name: 'root' };
+    cyclic.self = cyclic;
+
+    assert.deepEqual(toSerializable({ a: shared, b: shared, list: [shared, shared] }), {
+      a: { value: 1 },
+      b: { value: 1 },
+      list: [{ value: 1 }, { value: 1 }]
+    }, 'Every reference to a shared object should be serialized');
+    assert.deepEqual(toSerializable(cyclic), { name: 'root' }, 'Cycle should be broken');
+
+    const world = new World();
+    const entityId = world.createEntity();
+    world.addComponent(entityId, 'layout', { from: shared, to: shared });
+    assert.deepEqual(World.fromJSON(JSON.stringify(world)).getComponent(entityId, 'layout'), { from: { value: 1 }, to: { value: 1 } }, 'Snapshot should keep both fields');
+  });
+
+  testRunner.addTest('rejects unsupported snapshot versions', () => {
+    assert.throws(() => World.fromJSON({ version: 99, entities: [] }), 'Unknown version should be rejected');
+  });
+});
+
+testRunner.describe('Validation modes', () => {
+  testRunner.addTest('applies schema defaults', () => {
+    const world = new World();
+    world.registerSchema('health', healthSchema);
+    const entityId = world.createEntity();
+
+    world.addComponent(entityId, 'health', { value: 50 });
+    assert.equal(world.getComponent(entityId, 'health').max, 100, 'Default should be filled in');
+  });
+
+  testRunner.addTest('warn mode stores invalid components', () => {
+    const world = new World();
+    world.registerSchema('health', healthSchema);
+    const entityId = world.createEntity();
+
+    quietly(() => world.addComponent(entityId, 'health', { value: 'full' }));
+    assert.true(world.hasComponent(entityId, 'health'), 'Invalid component should still be added');
+  });
+
+  testRunner.addTest('strict mode rejects invalid components', () => {
+    const world = new World();
+    world.registerSchema('health', healthSchema);
+    world.setValidationMode('strict');
+    const entityId = world.createEntity();
+
+    const error = quietly(() => assert.throws(() => world.addComponent(entityId, 'health', {}), 'Missing field should throw'));
+    assert.equal(error.code, 'COMPONENT_VALIDATION', 'Error should carry the validation code');
+    assert.false(world.hasComponent(entityId, 'health'), 'Rejected component should not be stored');
+  });
+
+  testRunner.addTest('off mode skips validation and defaults', () => {
+    const world = new World();
+    world.registerSchema('health', healthSchema);
+    world.setValidationMode('off');
+    const entityId = world.createEntity();
+
+    world.addComponent(entityId, 'health', { value: 'full' });
+    assert.equal(world.getComponent(entityId, 'health').max, undefined, 'Defaults should not be applied');
+  });
+
+  testRunner.addTest('unknown modes are ignored', () => {
+    const world = new World();
+    quietly(() => world.setValidationMode('loose'));
+    assert.equal(world.validationMode, 'warn', 'Mode should be unchanged');
+  });
+});
+
+testRunner.describe('Hierarchy', () => {
+  testRunner.addTest('tracks parents, children and ancestors', () => {
+    const world = new World();
+    const page = world.createEntity();
+    const card = world.createEntity();
+    const button = world.createEntity();
+    world.setParent(card, page);
+    world.setParent(button, card);
+
+    assert.deepEqual(world.getChildren(page), [card], 'Page should have the card as child');
+    assert.deepEqual(world.getAncestors(button), [card, page], 'Ancestors should be nearest first');
+    assert.true(world.isDescendantOf(button, page), 'Button should be below the page');
+  });
+
+  testRunner.addTest('rejects hierarchy cycles', () => {
+    const world = new World();
+    const page = world.createEntity();
+    const card = world.createEntity();
+    const button = world.createEntity();
+    world.setParent(card, page);
+    world.setParent(button, card);
+
+    assert.equal(world.getDescendants(page).length, 2, 'Page should have two descendants');
+    assert.false(quietly(() => world.setParent(page, button)), 'Parenting to a descendant should be rejected');
+    assert.false(quietly(() => world.setParent(page, page)), 'Parenting to itself should be rejected');
+    assert.equal(world.getParent(page), null, 'Page should stay a root entity');
+  });
+
+  testRunner.addTest('reparenting moves the child', () => {
+    const world = new World();
+    const first = world.createEntity();
+    const second = world.createEntity();
+    const child = world.createEntity();
+    world.setParent(child, first);
+    world.setParent(child, second);
+
+    assert.deepEqual(world.getChildren(first), [], 'Old parent should lose the child');
+    assert.equal(world.getParent(child), second, 'Child should have the new parent');
+  });
+
+  testRunner.addTest('destroy cascades to every descendant and their components', () => {
+    const world = new World();
+    const page = world.createEntity();
+    const card = world.createEntity();
+    const button = world.createEntity();
+    world.setParent(card, page);
+    world.setParent(button, card);
+    world.addComponent(button, 'content', {});
+
+    world.destroyEntity(page);
+
+    assert.false(world.entities.has(card), 'Child should be destroyed');
+    assert.false(world.entities.has(button), 'Grandchild should be destroyed');
+    assert.equal(world.getEntitiesWith('content').length, 0, 'Descendant components should be removed');
+  });
+
+  testRunner.addTest('cascade: false detaches the children instead', () => {
+    const world = new World();
+    const page = world.createEntity();
+    const card = world.createEntity();
+    world.setParent(card, page);
+
+    world.destroyEntity(page, { cascade: false });
+
+    assert.true(world.entities.has(card), 'Child should survive');
+    assert.equal(world.getParent(card), null, 'Child should become a root entity');
+  });
+
+  testRunner.addTest('destroying a child detaches it from its parent', () => {
+    const world = new World();
+    const page = world.createEntity();
+    const card = world.createEntity();
+    world.setParent(card, page);
+
+    world.destroyEntity(card);
+    assert.deepEqual(world.getChildren(page), [], 'Parent should forget the destroyed child');
+  });
+});
+
+testRunner.describe('Lifecycle hooks', () => {
+  testRunner.addTest('schema hooks run on add, change and remove', () => {
+    const world = new World();
+    const calls = [];
+    world.registerSchema('health', {
+      properties: { value: { type: 'number', default: 100 } },
+      onAdd: (data, { entityId }) => calls.push(['add', entityId, data.value]),
+      onChange: (data, { fields }) => calls.push(['change', fields]),
+      onRemove: () => calls.push(['remove'])
+    });
+    const entityId = world.createEntity();
+
+    world.addComponent(entityId, 'health', {});
+    world.markChanged(entityId, 'health', ['value']);
+    world.removeComponent(entityId, 'health');
+
+    assert.deepEqual(calls, [['add', entityId, 100], ['change', ['value']], ['remove']], 'Hooks should run in order with context');
+  });
+
+  testRunner.addTest('observers run after schema hooks until unsubscribed', () => {
+    const world = new World();
+    const calls = [];
+    world.registerSchema('health', { onAdd: () => calls.push('schema') });
+    const stop = world.observe('health', { onAdd: () => calls.push('observer') });
+
+    world.addComponent(world.createEntity(), 'health', {});
+    stop();
+    world.addComponent(world.createEntity(), 'health', {});
+
+    assert.deepEqual(calls, ['schema', 'observer', 'schema'], 'Observer should run after the schema hook, then stop');
+  });
+
+  testRunner.addTest('destroying an entity runs onRemove for its components', () => {
+    const world = new World();
+    const removed = [];
+    world.observe('content', { onRemove: (data) => removed.push(data.value) });
+    const entityId = world.createEntity();
+    world.addComponent(entityId, 'content', { value: 'a' });
+
+    world.destroyEntity(entityId);
+    assert.deepEqual(removed, ['a'], 'onRemove should see the removed data');
+  });
+
+  testRunner.addTest('a failing hook does not stop the others', () => {
+    const world = new World();
+    let observed = false;
+    world.registerSchema('health', { onAdd: () => { throw new Error('hook failed'); } });
+    world.observe('health', { onAdd: () => { observed = true; } });
+
+    const error = console.error;
+    console.error = () => {};
+    try {
+      world.addComponent(world.createEntity(), 'health', {});
+    } finally {
+      console.error = error;
+    }
+
+    assert.true(observed, 'Observer should still run');
+  });
+});
+
+testRunner.describe('Reactive components', () => {
+  testRunner.addTest('field writes mark the component changed', () => {
+    const world = new World().setReactive(true);
+    const entityId = world.createEntity();
+    world.addComponent(entityId, 'content', { value: 'a', title: 'x' });
+    const query = world.query({ all: ['content'] });
+    query.consume();
+
+    world.getComponent(entityId, 'content').value = 'b';
+
+    assert.deepEqual(world.getChangedFields(entityId, 'content'), ['value'], 'Written field should be recorded');
+    assert.true(world.hasChanged(entityId, 'content', 'value'), 'hasChanged should see the field');
+    assert.false(world.hasChanged(entityId, 'content', 'title'), 'Untouched field should not count');
+    assert.deepEqual(query.consume().changed, [entityId], 'Tracking query should report the entity');
+  });
+
+  testRunner.addTest('writing the same value is not a change', () => {
+    const world = new World().setReactive(true);
+    const entityId = world.createEntity();
+    world.addComponent(entityId, 'content', { value: 'a' });
+
+    world.getComponent(entityId, 'content').value = 'a';
+    assert.false(world.hasChanged(entityId, 'content'), 'Unchanged value should not be recorded');
+  });
+
+  testRunner.addTest('deleting a field is a change', () => {
+    const world = new World().setReactive(true);
+    const entityId = world.createEntity();
+    world.addComponent(entityId, 'content', { value: 'a' });
+
+    delete world.getComponent(entityId, 'content').value;
+    assert.true(world.hasChanged(entityId, 'content', 'value'), 'Deleted field should be recorded');
+  });
+
+  testRunner.addTest('the proxy is stable and writes through to storage', () => {
+    const world = new World().setReactive(true);
+    const entityId = world.createEntity();
+    world.addComponent(entityId, 'content', { value: 'a' });
+
+    const proxy = world.getComponent(entityId, 'content');
+    assert.equal(world.getComponent(entityId, 'content'), proxy, 'Same proxy should be returned');
+    proxy.value = 'b';
+    assert.equal(world.components.get('content').get(entityId).value, 'b', 'Stored data should change');
+  });
+
+  testRunner.addTest('field changes are cleared at the end of the frame', () => {
+    const world = new World().setReactive(true);
+    const entityId = world.createEntity();
+    world.addComponent(entityId, 'content', { value: 'a' });
+    world.getComponent(entityId, 'content').value = 'b';
+
+    world.endFrame();
+    assert.deepEqual(world.getChangedFields(entityId, 'content'), [], 'Fields should reset every frame');
+  });
+
+  testRunner.addTest('plain objects are returned when reactive mode is off', () => {
+    const world = new World();
+    const entityId = world.createEntity();
+    world.addComponent(entityId, 'content', { value: 'a' });
+
+    world.getComponent(entityId, 'content').value = 'b';
+    assert.false(world.hasChanged(entityId, 'content'), 'Writes should not be tracked');
+  });
+});
+
+testRunner.describe('Command buffer', () => {
+  testRunner.addTest('applies deferred commands in order on flush', () => {
+    const world = new World();
+    const entityId = world.createEntity();
+    world.addComponent(entityId, 'content', { value: 'old' });
+
+    world.defer(cmd => cmd
+      .remove(entityId, 'content')
+      .add(entityId, 'content', { value: 'new' }));
+    assert.equal(world.getComponent(entityId, 'content').value, 'old', 'Nothing should change before the flush');
+    assert.equal(world.commandBuffer.size, 2, 'Both commands should be pending');
+
+    assert.equal(world.flushCommands(), 2, 'Both commands should be applied');
+    assert.equal(world.getComponent(entityId, 'content').value, 'new', 'Remove should run before add');
+    assert.equal(world.commandBuffer.size, 0, 'Buffer should be empty');
+  });
+
+  testRunner.addTest('skips commands whose entity is gone', () => {
+    const world = new World();
+    const entityId = world.createEntity();
+
+    world.defer(cmd => cmd
+      .destroy(entityId)
+      .add(entityId, 'content', { value: 'late' }));
+    world.flushCommands();
+
+    assert.false(world.isAlive(entityId), 'Entity should be destroyed');
+    assert.false(world.hasComponent(entityId, 'content'), 'Add on a destroyed entity should be skipped');
+  });
+
+  testRunner.addTest('applies commands queued during a flush in the same flush', () => {
+    const world = new World();
+    const entityId = world.createEntity();
+    world.observe('content', {
+      onAdd: (data, { entityId: id }) => world.defer(cmd => cmd.add(id, 'appearance', {}))
+    });
+
+    world.defer(cmd => cmd.add(entityId, 'content', {}));
+    world.flushCommands();
+
+    assert.true(world.hasComponent(entityId, 'appearance'), 'Command queued by a hook should be applied');
+    assert.equal(world.commandBuffer.size, 0, 'Buffer should be empty');
+  });
+
+  testRunner.addTest('immediate events are cleaned up when no loop is running', () => {
+    const { world, events } = createEvents();
+    world.engineLoop = new EngineLoop({ world });
+
+    events.on('engine:stopped', () => {});
+    const eventEntityId = events.emit('engine:stopped', {}, null, { mode: 'immediate' });
+
+    assert.false(world.isAlive(eventEntityId), 'Event entity should be destroyed without a loop flush');
+    assert.equal(world.commandBuffer.size, 0, 'No commands should stay pending');
+  });
+
+  testRunner.addTest('stopping the loop flushes pending commands', () => {
+    const world = new World();
+    const loop = new EngineLoop({ world });
+    const entityId = world.createEntity();
+    loop.isRunning = true;
+
+    world.defer(cmd => cmd.destroy(entityId));
+    loop.stop();
+
+    assert.false(world.isAlive(entityId), 'Deferred destroy should be applied on stop');
+  });
+});
+
+// Run Tests
+testRunner.run();
@@ -0,0 +1,135 @@
+// Tests for Navbar: active link tracking, prefetching and cleanup
+import { testRunner, assert } from '../../test-runner.js';
+import { Navbar } from '../../../elements/navigation/navbar.js';
+
+// A link that keeps its attributes and classes
+function createLink() {
+  const link = new EventTarget();
+  const classes = new Set();
+  link.classList = {
+    add: name => classes.add(name),
+    toggle: (name, force) => (force ? classes.add(name) : classes.delete(name)),
+    contains: name => classes.has(name)
+  };
+  Object.defineProperty(link, 'href', {
+    set(value) { this.hrefAttribute = value; }
+  });
+  link.getAttribute = name => (name === 'href' ? link.hrefAttribute : null);
+  return link;
+}
+
+function createContainer() {
+  return {
+    links: [],
+    set innerHTML(html) { this.links = []; },
+    appendChild(link) { this.links.push(link); },
+    querySelectorAll() { return this.links; }
+  };
+}
+
+// Install window and document; idle callbacks run when the test says so
+let idleCallbacks;
+let prefetches;
+testRunner.beforeEach(() => {
+  idleCallbacks = new Map();
+  prefetches = [];
+  let nextHandle = 1;
+
+  globalThis.window = Object.assign(new EventTarget(), {
+    location: { hash: '#home' },
+    requestIdleCallback(callback) {
+      const handle = nextHandle++;
+      idleCallbacks.set(handle, callback);
+      return handle;
+    },
+    cancelIdleCallback(handle) {
+      idleCallbacks.delete(handle);
+    }
+  });
+  globalThis.document = Object.assign(new EventTarget(), { createElement: createLink });
+  document.addEventListener('page:prefetch', event => prefetches.push(event.detail.route));
+});
+testRunner.afterEach(() => {
+  delete globalThis.window;
+  delete globalThis.document;
+});
+
+// Run the pending idle callbacks once
+function runIdle() {
+  const callbacks = [...idleCallbacks.values()];
+  idleCallbacks.clear();
+  callbacks.forEach(callback => callback());
+}
+
+function createNavbar(items, prefetch = 'hover') {
+  return new Navbar({ container: createContainer(), items, prefetch });
+}
+
+testRunner.describe('Navbar', () => {
+  testRunner.addTest('marks the link of the loaded page, nested routes included', async () => {
+    const navbar = await createNavbar([{ text: 'Home', route: 'home' }, { text: 'Projects', route: 'projects' }]).init();
+    const [home, projects] = navbar.container.links;
+    assert.true(home.classList.contains('active'), 'Current hash should be active');
+
+    document.dispatchEvent(new CustomEvent('page:loaded', { detail: { route: 'projects/engine' } }));
+    assert.false(home.classList.contains('active'), 'Previous link should be inactive');
+    assert.true(projects.classList.contains('active'), 'Parent route should be active');
+    navbar.destroy();
+  });
+
+  testRunner.addTest('destroy removes the window and document listeners', async () => {
+    const navbar = await createNavbar([{ text: 'Home', route: 'home' }]).init();
+    const [home] = navbar.container.links;
+    navbar.destroy();
+
+    document.dispatchEvent(new CustomEvent('page:loaded', { detail: { route: 'about' } }));
+    window.location.hash = '#about';
+    window.dispatchEvent(new Event('hashchange'));
+
+    assert.equal(navbar.currentRoute, null, 'page:loaded should be ignored');
+    assert.true(home.classList.contains('active'), 'Links should not be updated');
+  });
+
+  testRunner.addTest('every hover or focus asks for a prefetch', async () => {
+    const navbar = await createNavbar([
+      { text: 'Learn', route: 'learn' },
+      { text: 'Resume', route: 'resume', prefetch: false }
+    ]).init();
+    const [learn, resume] = navbar.container.links;
+
+    learn.dispatchEvent(new Event('pointerenter'));
+    learn.dispatchEvent(new Event('focus'));
+    resume.dispatchEvent(new Event('pointerenter'));
+
+    // The PageSystem skips modules it still has cached
+    assert.deepEqual(prefetches, ['learn', 'learn'], 'Each hover should be passed on');
+    navbar.destroy();
+  });
+
+  testRunner.addTest('idle prefetching takes one route per idle period', async () => {
+    const navbar = await createNavbar([
+      { text: 'Contact', route: 'contact' },
+      { text: 'Resume', route: 'resume', prefetch: false },
+      { text: 'Vision', route: 'vision' }
+    ], 'idle').init();
+
+    runIdle();
+    assert.deepEqual(prefetches, ['contact'], 'First route should be prefetched');
+    runIdle();
+    assert.deepEqual(prefetches, ['contact', 'vision'], 'Routes without prefetch should be skipped');
+    runIdle();
+    assert.equal(idleCallbacks.size, 0, 'Chain should end with the last route');
+    navbar.destroy();
+  });
+
+  testRunner.addTest('destroy stops idle prefetching', async () => {
+    const navbar = await createNavbar([{ text: 'Showcase', route: 'engine-showcase' }], 'idle').init();
+    navbar.destroy();
+
+    runIdle();
+    assert.deepEqual(prefetches, [], 'Nothing should be prefetched');
+  });
+});
+
+// Run Tests
+testRunner.run();
@@ -0,0 +1,87 @@
+// Tests for EntityManager and ComponentManager as facades over World storage
+import { testRunner, assert } from '../../test-runner.js';
+import { World } from '../../../core/world.js';
+import { EntityManager } from '../../../managers/entityManager.js';
+import { ComponentManager } from '../../../managers/componentManager.js';
+
+function createWorld() {
+  const world = new World();
+  world.entityManager = new EntityManager({ world });
+  world.componentManager = new ComponentManager({ world });
+  return world;
+}
+
+testRunner.describe('EntityManager', () => {
+  testRunner.addTest('creates entities in the world', () => {
+    const world = createWorld();
+    const entityId = world.entityManager.createEntity();
+
+    assert.true(world.entities.has(entityId), 'Entity should be stored by the world');
+    assert.equal(world.entityManager.getEntityCount(), world.entities.size, 'Counts should agree');
+  });
+
+  testRunner.addTest('sees entities destroyed through the world', () => {
+    const world = createWorld();
+    const entityId = world.createEntity();
+    world.destroyEntity(entityId);
+
+    assert.false(world.entityManager.hasEntity(entityId), 'Destroyed entity should be gone');
+    assert.true(world.entityManager.isStale(entityId), 'Handle should be stale');
+  });
+
+  testRunner.addTest('returns entity handles that read components from the world', () => {
+    const world = createWorld();
+    const entityId = world.createEntity();
+    world.addComponent(entityId, 'content', { value: 'a' });
+
+    const entity = world.entityManager.getEntity(entityId);
+    assert.true(entity.hasComponent('content'), 'Handle should see world components');
+    assert.equal(entity.getComponent('content').value, 'a', 'Handle should read component data');
+    assert.deepEqual([...entity.components.keys()], ['content'], 'Components should be listed by type');
+
+    world.addComponent(entityId, 'appearance', { visible: true });
+    assert.deepEqual(entity.getComponentTypes(), ['content', 'appearance'], 'Handle should follow later changes');
+    assert.equal(world.entityManager.entities.get(entityId).id, entityId, 'Entity map should hold handles');
+    assert.equal(world.entityManager.getEntity(12345), undefined, 'Unknown entity should have no handle');
+  });
+});
+
+testRunner.describe('ComponentManager', () => {
+  testRunner.addTest('shares component storage with the world', () => {
+    const world = createWorld();
+    const entityId = world.createEntity();
+
+    world.componentManager.addComponent(entityId, 'content', { value: 'a' });
+    assert.equal(world.getComponent(entityId, 'content').value, 'a', 'World should see manager writes');
+
+    world.addComponent(entityId, 'appearance', { visible: true });
+    assert.true(world.componentManager.hasComponent(entityId, 'appearance'), 'Manager should see world writes');
+    assert.equal(world.componentManager.components, world.components, 'Storage should be the same map');
+  });
+
+  testRunner.addTest('registers schemas with the world', () => {
+    const world = createWorld();
+    world.componentManager.registerComponent('health', { properties: { value: { type: 'number', default: 100 } } });
+
+    const entityId = world.createEntity();
+    world.addComponent(entityId, 'health', {});
+    assert.equal(world.getComponent(entityId, 'health').value, 100, 'World should apply the manager-registered schema');
+  });
+
+  testRunner.addTest('rejects components for unknown entities', () => {
+    const world = createWorld();
+    assert.throws(() => world.componentManager.addComponent(12345, 'content', {}), 'Unknown entity should throw');
+  });
+
+  testRunner.addTest('removing through the manager updates world queries', () => {
+    const world = createWorld();
+    const entityId = world.createEntity();
+    world.addComponent(entityId, 'content', {});
+    world.componentManager.removeComponent(entityId, 'content');
+
+    assert.equal(world.getEntitiesWith('content').length, 0, 'Query should drop the entity');
+  });
+});
+
+// Run Tests
+testRunner.run();
@@ -0,0 +1,143 @@
+// Tests for CrossTabBridge: forwarding events between tabs and loop protection
+import { testRunner, assert } from '../../test-runner.js';
+import { createEvents } from '../../fixtures.js';
+import { CrossTabBridge } from '../../../modules/cross-tab-bridge.js';
+
+// One "tab": a world, its event system and a bridge
+function createTab(options = {}) {
+  const { events } = createEvents();
+  const bridge = new CrossTabBridge(events, { events: ['theme:*'], channelName: 'test-events', ...options });
+  return { events, bridge };
+}
+
+// Wait for BroadcastChannel messages to arrive
+function nextTask() {
+  return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+// Tabs share one window; localStorage writes fire `storage` on it, as
+// they would in the other tabs
+function installStorageWindow() {
+  const target = new EventTarget();
+  const store = new Map();
+  globalThis.window = target;
+  globalThis.localStorage = {
+    getItem: key => store.get(key) ?? null,
+    setItem(key, value) {
+      store.set(key, String(value));
+      const storageEvent = new Event('storage');
+      Object.assign(storageEvent, { key, newValue: String(value) });
+      target.dispatchEvent(storageEvent);
+    },
+    removeItem(key) {
+      store.delete(key);
+      const storageEvent = new Event('storage');
+      Object.assign(storageEvent, { key, newValue: null });
+      target.dispatchEvent(storageEvent);
+    }
+  };
+}
+
+const tabs = [];
+testRunner.afterEach(() => {
+  tabs.splice(0).forEach(tab => tab.bridge.disconnect());
+  delete globalThis.window;
+  delete globalThis.localStorage;
+});
+
+function openTabs(count, options) {
+  for (let i = 0; i < count; i++) {
+    const tab = createTab(options);
+    tab.bridge.connect();
+    tabs.push(tab);
+  }
+  return tabs;
+}
+
+testRunner.describe('BroadcastChannel transport', () => {
+  testRunner.addTest('forwards matching events to the other tabs', async () => {
+    const [first, second] = openTabs(2, { transport: 'broadcast' });
+    const received = [];
+    second.events.on('theme:changed', data => received.push(data.theme));
+
+    first.events.emit('theme:changed', { theme: 'dark' }, null, { mode: 'immediate' });
+    first.events.emit('page:loaded', { route: 'home' }, null, { mode: 'immediate' });
+    await nextTask();
+
+    assert.deepEqual(received, ['dark'], 'Only the configured event should arrive');
+  });
+
+  testRunner.addTest('does not echo remote events back', async () => {
+    const [first, second] = openTabs(2, { transport: 'broadcast' });
+    let firstCount = 0;
+    let secondCount = 0;
+    first.events.on('theme:changed', () => firstCount++);
+    second.events.on('theme:changed', () => secondCount++);
+
+    first.events.emit('theme:changed', { theme: 'dark' }, null, { mode: 'immediate' });
+    await nextTask();
+    await nextTask();
+
+    assert.equal(firstCount, 1, 'Sending tab should only see its own emit');
+    assert.equal(secondCount, 1, 'Receiving tab should see the event once');
+  });
+
+  testRunner.addTest('stops forwarding after disconnect', async () => {
+    const [first, second] = openTabs(2, { transport: 'broadcast' });
+    const received = [];
+    second.events.on('theme:changed', data => received.push(data.theme));
+
+    first.bridge.disconnect();
+    first.events.emit('theme:changed', { theme: 'dark' }, null, { mode: 'immediate' });
+    await nextTask();
+
+    assert.deepEqual(received, [], 'Disconnected tab should not forward');
+  });
+});
+
+testRunner.describe('Storage transport', () => {
+  testRunner.addTest('forwards events through storage events', () => {
+    installStorageWindow();
+    const [first, second] = openTabs(2, { transport: 'storage' });
+    const received = [];
+    second.events.on('theme:changed', data => received.push(data.theme));
+
+    first.events.emit('theme:changed', { theme: 'light' }, null, { mode: 'immediate' });
+    assert.deepEqual(received, ['light'], 'Event should arrive in the other tab');
+  });
+
+  testRunner.addTest('emits a message that arrives twice only once', () => {
+    installStorageWindow();
+    const [tab] = openTabs(1, { transport: 'storage' });
+    const received = [];
+    tab.events.on('theme:changed', data => received.push(data.theme));
+
+    const message = { id: 'other:1', origin: 'other', type: 'theme:changed', data: { theme: 'dark' } };
+    localStorage.setItem('test-events', JSON.stringify(message));
+    localStorage.setItem('test-events', JSON.stringify(message));
+
+    assert.deepEqual(received, ['dark'], 'Duplicate message should be ignored');
+  });
+
+  testRunner.addTest('ignores malformed and unexpected messages', () => {
+    installStorageWindow();
+    const [tab] = openTabs(1, { transport: 'storage' });
+    const received = [];
+    tab.events.on('*', (data, event) => received.push(event.type));
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      localStorage.setItem('test-events', '{not json');
+    } finally {
+      console.warn = warn;
+    }
+    localStorage.setItem('test-events', JSON.stringify({ id: 'other:2', origin: 'other', type: 'page:loaded', data: {} }));
+    localStorage.setItem('other-key', JSON.stringify({ id: 'other:3', origin: 'other', type: 'theme:changed', data: {} }));
+
+    assert.deepEqual(received, [], 'Nothing should be emitted');
+  });
+});
+
+// Run Tests
+testRunner.run();
@@ -0,0 +1,95 @@
+// Tests for DOMEventBridge: mapping DOM CustomEvents to EventSystem events and back
+import { testRunner, assert } from '../../test-runner.js';
+import { createEvents } from '../../fixtures.js';
+import { DOMEventBridge } from '../../../modules/dom-event-bridge.js';
+
+// Create an event system and a bridge on a fresh DOM target
+function createBridge(mappings) {
+  const { events } = createEvents();
+  const target = new EventTarget();
+  const bridge = new DOMEventBridge(events, { target, mappings });
+  return { events, target, bridge };
+}
+
+// Record the detail of every DOM event of a type
+function listenDOM(target, type) {
+  const details = [];
+  target.addEventListener(type, domEvent => details.push(domEvent.detail));
+  return details;
+}
+
+testRunner.describe('DOMEventBridge', () => {
+  testRunner.addTest('forwards DOM events to the engine and engine events to the DOM', () => {
+    const { events, target, bridge } = createBridge([{ dom: 'devmode:change' }]);
+    bridge.connect();
+    const engineData = [];
+    events.on('devmode:change', data => engineData.push(data.enabled));
+    const domDetails = listenDOM(target, 'devmode:change');
+
+    target.dispatchEvent(new CustomEvent('devmode:change', { detail: { enabled: true } }));
+    events.emit('devmode:change', { enabled: false }, null, { mode: 'immediate' });
+
+    assert.deepEqual(engineData, [true, false], 'Engine should see both events once');
+    assert.deepEqual(domDetails.map(detail => detail.enabled), [true, false], 'DOM should see both events once');
+  });
+
+  testRunner.addTest('honours the mapping direction', () => {
+    const { events, target, bridge } = createBridge([
+      { dom: 'header:collapse', direction: 'toEngine' },
+      { dom: 'theme:changed', direction: 'toDOM' }
+    ]);
+    bridge.connect();
+    const engineTypes = [];
+    events.on('*', (data, event) => engineTypes.push(event.type));
+    const collapseDetails = listenDOM(target, 'header:collapse');
+    const themeDetails = listenDOM(target, 'theme:changed');
+
+    events.emit('header:collapse', {}, null, { mode: 'immediate' });
+    target.dispatchEvent(new CustomEvent('theme:changed', { detail: {} }));
+
+    assert.deepEqual(collapseDetails, [], 'toEngine mapping should not dispatch on the DOM');
+    assert.deepEqual(engineTypes, ['header:collapse'], 'toDOM mapping should not emit into the engine');
+    assert.equal(themeDetails.length, 1, 'Only the DOM event itself should reach the DOM');
+  });
+
+  testRunner.addTest('maps event names and reshapes payloads', () => {
+    const { events, target, bridge } = createBridge([{
+      dom: 'legacy-theme',
+      engine: 'theme:changed',
+      toEngine: domEvent => ({ theme: domEvent.detail }),
+      toDOM: data => data.theme
+    }]);
+    bridge.connect();
+    const engineData = [];
+    events.on('theme:changed', data => engineData.push(data.theme));
+    const domDetails = listenDOM(target, 'legacy-theme');
+
+    target.dispatchEvent(new CustomEvent('legacy-theme', { detail: 'dark' }));
+    events.emit('theme:changed', { theme: 'light' }, null, { mode: 'immediate' });
+
+    assert.deepEqual(engineData, ['dark', 'light'], 'Engine payloads should be reshaped');
+    assert.deepEqual(domDetails, ['dark', 'light'], 'DOM details should be reshaped');
+  });
+
+  testRunner.addTest('addMapping connects right away and disconnect removes everything', () => {
+    const { events, target, bridge } = createBridge([]);
+    bridge.connect();
+    bridge.addMapping({ dom: 'devmode:change', direction: 'toEngine' });
+    const engineData = [];
+    events.on('devmode:change', data => engineData.push(data.enabled));
+
+    target.dispatchEvent(new CustomEvent('devmode:change', { detail: { enabled: true } }));
+    bridge.disconnect();
+    target.dispatchEvent(new CustomEvent('devmode:change', { detail: { enabled: false } }));
+
+    assert.deepEqual(engineData, [true], 'Only the event before disconnect should be forwarded');
+  });
+
+  testRunner.addTest('rejects invalid mappings', () => {
+    assert.throws(() => createBridge([{ engine: 'theme:changed' }]), 'Mapping without a DOM type should be rejected');
+    assert.throws(() => createBridge([{ dom: 'theme:changed', direction: 'sideways' }]), 'Unknown direction should be rejected');
+  });
+});
+
+// Run Tests
+testRunner.run();
@@ -0,0 +1,199 @@
+// Tests for PageTransitions: enter/leave animations between page containers
+import { testRunner, assert } from '../../test-runner.js';
+import { PageTransitions } from '../../../modules/page-transitions.js';
+
+// An animation that finishes when the test says so
+function createAnimation(keyframes, timing) {
+  let resolve;
+  let reject;
+  const finished = new Promise((res, rej) => { resolve = res; reject = rej; });
+  finished.catch(() => {});
+
+  return {
+    keyframes,
+    timing,
+    finished,
+    state: 'running',
+    finish() {
+      if (this.state !== 'running') return;
+      this.state = 'finished';
+      resolve(this);
+    },
+    cancel() {
+      if (this.state === 'running') reject(new Error('AbortError'));
+      this.state = 'cancelled';
+    }
+  };
+}
+
+// A page container, optionally with the Web Animations API
+function createElement(parent, { animatable = true } = {}) {
+  const element = {
+    parentElement: parent,
+    animations: [],
+    remove() {
+      this.parentElement = null;
+    }
+  };
+  if (animatable) {
+    element.animate = (keyframes, timing) => {
+      const animation = createAnimation(keyframes, timing);
+      element.animations.push(animation);
+      return animation;
+    };
+  }
+  return element;
+}
+
+function createParent() {
+  const classes = new Set();
+  return {
+    classList: {
+      add: name => classes.add(name),
+      remove: name => classes.delete(name),
+      contains: name => classes.has(name)
+    }
+  };
+}
+
+let reducedMotion = false;
+testRunner.beforeEach(() => {
+  reducedMotion = false;
+  globalThis.window = {
+    matchMedia: () => ({ matches: reducedMotion })
+  };
+});
+testRunner.afterEach(() => {
+  delete globalThis.window;
+});
+
+testRunner.describe('PageTransitions', () => {
+  testRunner.addTest('fade plays the leave animation, then the enter one', async () => {
+    const parent = createParent();
+    const outgoing = createElement(parent);
+    const incoming = createElement(parent);
+    const transitions = new PageTransitions({ duration: 100 });
+
+    const done = transitions.run(outgoing, incoming);
+    assert.true(parent.classList.contains('page-transitioning'), 'Container should be marked while animating');
+    assert.equal(outgoing.animations[0].keyframes[1].opacity, 0, 'Outgoing page should fade out');
+    assert.equal(incoming.animations[0].timing.delay, 100, 'Incoming page should wait for the fade out');
+    assert.equal(outgoing.parentElement, parent, 'Outgoing page should stay while animating');
+
+    outgoing.animations[0].finish();
+    incoming.animations[0].finish();
+    await done;
+
+    assert.equal(outgoing.parentElement, null, 'Outgoing page should be removed at the end');
+    assert.false(parent.classList.contains('page-transitioning'), 'Container mark should be removed');
+    assert.equal(incoming.animations[0].state, 'cancelled', 'Filled end state should be dropped');
+    assert.equal(transitions.active, null, 'No transition should be active');
+  });
+
+  testRunner.addTest('crossfade and slide animate both pages at once', async () => {
+    const parent = createParent();
+    const transitions = new PageTransitions();
+
+    for (const name of ['crossfade', 'slide']) {
+      const outgoing = createElement(parent);
+      const incoming = createElement(parent);
+      const done = transitions.run(outgoing, incoming, { name, duration: 50 });
+
+      assert.equal(incoming.animations[0].timing.delay, 0, `${name} should not delay the incoming page`);
+      assert.equal(incoming.animations[0].timing.duration, 50, `${name} should use the given duration`);
+      outgoing.animations[0].finish();
+      incoming.animations[0].finish();
+      await done;
+    }
+  });
+
+  testRunner.addTest('the first page only animates in', async () => {
+    const incoming = createElement(createParent());
+    const transitions = new PageTransitions();
+
+    const done = transitions.run(null, incoming);
+    assert.equal(incoming.animations.length, 1, 'Incoming page should animate');
+    assert.equal(incoming.animations[0].timing.delay, 0, 'Nothing should be waited for');
+
+    incoming.animations[0].finish();
+    await done;
+  });
+
+  testRunner.addTest('swaps immediately for none, reduced motion and elements without animate', async () => {
+    const parent = createParent();
+    const cases = [
+      { transitions: new PageTransitions({ name: 'none' }) },
+      { transitions: new PageTransitions(), reduced: true },
+      { transitions: new PageTransitions(), animatable: false }
+    ];
+
+    for (const { transitions, reduced = false, animatable = true } of cases) {
+      reducedMotion = reduced;
+      const outgoing = createElement(parent, { animatable });
+      const incoming = createElement(parent, { animatable });
+
+      await transitions.run(outgoing, incoming);
+      assert.equal(outgoing.parentElement, null, 'Outgoing page should be removed');
+      assert.equal(incoming.animations.length, 0, 'Nothing should be animated');
+    }
+  });
+
+  testRunner.addTest('unknown transitions warn and swap immediately', async () => {
+    const parent = createParent();
+    const outgoing = createElement(parent);
+    const incoming = createElement(parent);
+    const transitions = new PageTransitions();
+
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+    try {
+      await transitions.run(outgoing, incoming, 'spin');
+    } finally {
+      console.warn = warn;
+    }
+
+    assert.equal(warnings.length, 1, 'Unknown name should be reported');
+    assert.equal(outgoing.parentElement, null, 'Outgoing page should be removed');
+    assert.throws(() => new PageTransitions({ name: 'spin' }), 'Unknown default should be rejected');
+  });
+
+  testRunner.addTest('a new transition finishes the running one first', async () => {
+    const parent = createParent();
+    const first = createElement(parent);
+    const second = createElement(parent);
+    const third = createElement(parent);
+    const transitions = new PageTransitions();
+
+    const running = transitions.run(first, second);
+    const next = transitions.run(second, third);
+
+    assert.equal(first.parentElement, null, 'First page should be gone at once');
+    assert.equal(first.animations[0].state, 'cancelled', 'Its animation should be settled');
+    await running;
+
+    second.animations[1].finish();
+    third.animations[0].finish();
+    await next;
+    assert.equal(second.parentElement, null, 'Second page should be removed after its own transition');
+  });
+
+  testRunner.addTest('register adds named transitions', async () => {
+    const parent = createParent();
+    const outgoing = createElement(parent);
+    const incoming = createElement(parent);
+    const transitions = new PageTransitions();
+    transitions.register('zoom', {
+      leave: [{ transform: 'scale(1)' }, { transform: 'scale(0.9)' }],
+      enter: [{ transform: 'scale(1.1)' }, { transform: 'scale(1)' }]
+    });
+
+    const done = transitions.run(outgoing, incoming, 'zoom');
+    assert.equal(incoming.animations[0].keyframes[0].transform, 'scale(1.1)', 'Registered keyframes should be used');
+    transitions.finish();
+    await done;
+  });
+});
+
+// Run Tests
+testRunner.run();
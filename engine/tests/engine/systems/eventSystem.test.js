@@ -0,0 +1,582 @@
+// Tests for EventSystem: listener lookup, wildcard patterns, delivery modes, cancelation, bubbling, recording and replay, payload validation, delivery policies and notification cleanup
+import { testRunner, assert } from '../../test-runner.js';
+import { World } from '../../../core/world.js';
+import { matchesEventPattern } from '../../../components/event.js';
+import { createEvents } from '../../fixtures.js';
+
+testRunner.describe('Listener cache', () => {
+  testRunner.addTest('forgets listeners destroyed with their entity', () => {
+    const { world, events } = createEvents();
+    const page = world.createEntity();
+    const received = [];
+    events.onEntity(page, 'page:ready', () => received.push('page'));
+    events.on('page:ready', () => received.push('global'));
+
+    events.emit('page:ready', {}, page, { mode: 'immediate' });
+    assert.true(events.listenerCache.size > 0, 'Lookup should be cached');
+
+    world.destroyEntity(page);
+    assert.equal(events.listenerCache.size, 0, 'Cache should be cleared when a listener entity is destroyed');
+
+    received.length = 0;
+    const other = world.createEntity();
+    events.emit('page:ready', {}, other, { mode: 'immediate' });
+    assert.deepEqual(received, ['global'], 'Destroyed listener should not be called');
+  });
+
+  testRunner.addTest('unmount stops watching listener entities', () => {
+    const { world, events } = createEvents();
+    const listenerId = events.on('page:ready', () => {});
+    events.emit('page:ready', {}, null, { mode: 'immediate' });
+
+    events.unmount();
+    world.destroyEntity(listenerId);
+    assert.true(events.listenerCache.size > 0, 'Unmounted system should not react to destroyed listeners');
+  });
+});
+
+testRunner.describe('Wildcard patterns', () => {
+  testRunner.addTest('* matches exactly one segment', () => {
+    assert.true(matchesEventPattern('page:*', 'page:loaded'), 'Single segment should match');
+    assert.false(matchesEventPattern('page:*', 'page:child:mounted'), 'Two segments should not match');
+    assert.false(matchesEventPattern('page:*', 'page'), 'Missing segment should not match');
+  });
+
+  testRunner.addTest('** matches any number of segments', () => {
+    assert.true(matchesEventPattern('entity:**', 'entity:created'), 'One segment should match');
+    assert.true(matchesEventPattern('entity:**', 'entity:component:added'), 'Several segments should match');
+    assert.false(matchesEventPattern('entity:**', 'page:loaded'), 'Other namespace should not match');
+  });
+
+  testRunner.addTest('* on its own receives every event', () => {
+    const { events } = createEvents();
+    const received = [];
+    events.on('*', (data, event) => received.push(event.type));
+
+    events.emit('page:loaded', {}, null, { mode: 'immediate' });
+    events.emit('theme:changed:dark', {}, null, { mode: 'immediate' });
+    assert.deepEqual(received, ['page:loaded', 'theme:changed:dark'], 'Catch-all listener should receive both');
+  });
+
+  testRunner.addTest('pattern and exact listeners run together in priority order', () => {
+    const { events } = createEvents();
+    const received = [];
+    events.on('page:*', () => received.push('pattern'), 1);
+    events.on('page:loaded', () => received.push('exact'), 5);
+    events.on('page:unloaded', () => received.push('other'));
+
+    events.emit('page:loaded', {}, null, { mode: 'immediate' });
+    assert.deepEqual(received, ['exact', 'pattern'], 'Higher priority should run first');
+  });
+
+  testRunner.addTest('listeners added later are picked up for cached types', () => {
+    const { events } = createEvents();
+    const received = [];
+    events.emit('page:loaded', {}, null, { mode: 'immediate' });
+    events.on('page:*', () => received.push('pattern'));
+
+    events.emit('page:loaded', {}, null, { mode: 'immediate' });
+    assert.deepEqual(received, ['pattern'], 'New pattern listener should be found');
+  });
+});
+
+testRunner.describe('Delivery modes', () => {
+  testRunner.addTest('queued events wait for the next update', () => {
+    const { events } = createEvents();
+    const received = [];
+    events.on('page:ready', data => received.push(data.id));
+
+    events.emit('page:ready', { id: 1 });
+    assert.deepEqual(received, [], 'Queued event should not be delivered yet');
+
+    events.update();
+    assert.deepEqual(received, [1], 'Queued event should be delivered on update');
+  });
+
+  testRunner.addTest('immediate events are delivered before emit returns', () => {
+    const { events } = createEvents();
+    const received = [];
+    events.on('page:ready', data => received.push(data.id));
+
+    events.emit('page:ready', { id: 1 }, null, { mode: 'immediate' });
+    assert.deepEqual(received, [1], 'Immediate event should already be delivered');
+  });
+
+  testRunner.addTest('microtask events are delivered after the current task', async () => {
+    const { events } = createEvents();
+    const received = [];
+    events.on('page:ready', data => received.push(data.id));
+
+    events.emit('page:ready', { id: 1 }, null, { mode: 'microtask' });
+    assert.deepEqual(received, [], 'Microtask event should not be delivered synchronously');
+
+    await Promise.resolve();
+    assert.deepEqual(received, [1], 'Microtask event should be delivered once the task ends');
+  });
+
+  testRunner.addTest('the default mode can be configured', () => {
+    const { events } = createEvents({ defaultMode: 'immediate' });
+    const received = [];
+    events.on('page:ready', data => received.push(data.id));
+
+    events.emit('page:ready', { id: 1 });
+    assert.deepEqual(received, [1], 'Default mode should apply');
+  });
+
+  testRunner.addTest('rejects unknown modes', () => {
+    const { events } = createEvents();
+    const error = assert.throws(() => events.emit('page:ready', {}, null, { mode: 'later' }));
+    assert.true(error.message.includes('Unknown delivery mode'), 'Error should name the problem');
+  });
+
+  testRunner.addTest('emitAsync waits for async listeners', async () => {
+    const { events } = createEvents();
+    const steps = [];
+    events.on('page:save', async () => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      steps.push('saved');
+    });
+
+    const event = await events.emitAsync('page:save', { id: 1 });
+    steps.push('resolved');
+    assert.deepEqual(steps, ['saved', 'resolved'], 'Promise should settle after the listener');
+    assert.equal(event.type, 'page:save', 'Promise should resolve with the event');
+  });
+
+  testRunner.addTest('emitAsync settles when a listener rejects', async () => {
+    const { events } = createEvents();
+    const error = console.error;
+    console.error = () => {};
+    try {
+      events.on('page:save', async () => { throw new Error('failed'); });
+      const event = await events.emitAsync('page:save');
+      assert.defined(event, 'Rejection should not keep the caller waiting');
+    } finally {
+      console.error = error;
+    }
+  });
+
+  testRunner.addTest('emitAsync with a queued event settles on update', async () => {
+    const { events } = createEvents();
+    let settled = false;
+    const promise = events.emitAsync('page:save', {}, null, { mode: 'queued' }).then(() => { settled = true; });
+
+    await Promise.resolve();
+    assert.false(settled, 'Queued event should not settle before update');
+
+    events.update();
+    await promise;
+    assert.true(settled, 'Queued event should settle after update');
+  });
+});
+
+testRunner.describe('Cancelation and propagation', () => {
+  testRunner.addTest('stopPropagation skips the remaining listeners', () => {
+    const { events } = createEvents();
+    const received = [];
+    events.on('page:ready', (data, event) => {
+      received.push('first');
+      event.stopPropagation();
+    }, 10);
+    events.on('page:ready', () => received.push('second'));
+
+    events.emit('page:ready', {}, null, { mode: 'immediate' });
+    assert.deepEqual(received, ['first'], 'Lower priority listener should be skipped');
+  });
+
+  testRunner.addTest('preventDefault vetoes a cancelable event', async () => {
+    const { events } = createEvents();
+    events.on('page:leave', (data, event) => event.preventDefault());
+
+    const event = await events.emitAsync('page:leave', {}, null, { cancelable: true });
+    assert.true(event.defaultPrevented, 'Cancelable event should be prevented');
+  });
+
+  testRunner.addTest('preventDefault is ignored on events that are not cancelable', async () => {
+    const { events } = createEvents();
+    events.on('page:leave', (data, event) => event.preventDefault());
+
+    const event = await events.emitAsync('page:leave');
+    assert.false(event.defaultPrevented, 'Event should not be prevented');
+  });
+
+  testRunner.addTest('notifications record whether the event was prevented', () => {
+    const { world, events } = createEvents();
+    const listenerId = events.on('page:leave', (data, event) => event.preventDefault());
+
+    events.emit('page:leave', {}, null, { mode: 'immediate', cancelable: true });
+    const notification = world.getComponent(listenerId, 'eventNotification');
+    assert.true(notification.defaultPrevented, 'Notification should carry the veto');
+  });
+});
+
+testRunner.describe('Bubbling', () => {
+  // page > section > button
+  function createTree(world) {
+    const page = world.createEntity();
+    const section = world.createEntity();
+    const button = world.createEntity();
+    world.setParent(section, page);
+    world.setParent(button, section);
+    return { page, section, button };
+  }
+
+  testRunner.addTest('bubbling events visit the source, its ancestors, then global listeners', () => {
+    const { world, events } = createEvents();
+    const { page, section, button } = createTree(world);
+    const received = [];
+    events.on('ui:click', (data, event) => received.push(['global', event.currentTargetId]));
+    events.onEntity(page, 'ui:click', (data, event) => received.push(['page', event.currentTargetId]));
+    events.onEntity(section, 'ui:click', () => received.push(['section']));
+    events.onEntity(button, 'ui:click', () => received.push(['button']));
+
+    events.emit('ui:click', {}, button, { mode: 'immediate', bubbles: true });
+    assert.deepEqual(received, [['button'], ['section'], ['page', page], ['global', null]], 'Nearest entity should come first');
+  });
+
+  testRunner.addTest('events that do not bubble skip the ancestors', () => {
+    const { world, events } = createEvents();
+    const { page, button } = createTree(world);
+    const received = [];
+    events.onEntity(page, 'ui:click', () => received.push('page'));
+    events.onEntity(button, 'ui:click', () => received.push('button'));
+
+    events.emit('ui:click', {}, button, { mode: 'immediate' });
+    assert.deepEqual(received, ['button'], 'Only the source should receive the event');
+  });
+
+  testRunner.addTest('entity listeners ignore events from unrelated entities', () => {
+    const { world, events } = createEvents();
+    const { section } = createTree(world);
+    const stranger = world.createEntity();
+    const received = [];
+    events.onEntity(section, 'ui:click', () => received.push('section'));
+
+    events.emit('ui:click', {}, stranger, { mode: 'immediate', bubbles: true });
+    assert.deepEqual(received, [], 'Unrelated listener should not be called');
+  });
+
+  testRunner.addTest('stopPropagation ends bubbling', () => {
+    const { world, events } = createEvents();
+    const { page, section, button } = createTree(world);
+    const received = [];
+    events.on('ui:click', () => received.push('global'));
+    events.onEntity(page, 'ui:click', () => received.push('page'));
+    events.onEntity(section, 'ui:click', (data, event) => {
+      received.push('section');
+      event.stopPropagation();
+    });
+
+    events.emit('ui:click', {}, button, { mode: 'immediate', bubbles: true });
+    assert.deepEqual(received, ['section'], 'Ancestors and global listeners should be skipped');
+  });
+
+  testRunner.addTest('entity listeners are destroyed with their entity', () => {
+    const { world, events } = createEvents();
+    const { section } = createTree(world);
+    const listenerId = events.onEntity(section, 'ui:click', () => {});
+
+    world.destroyEntity(section);
+    assert.false(world.isAlive(listenerId), 'Listener entity should be destroyed');
+  });
+});
+
+testRunner.describe('Recording and replay', () => {
+  testRunner.addTest('records root events matching the patterns', () => {
+    const { events } = createEvents();
+    events.on('page:loaded', () => events.emit('page:rendered', {}, null, { mode: 'immediate' }));
+
+    events.startRecording({ patterns: ['page:*'] });
+    events.emit('page:loaded', { page: 'home' }, null, { mode: 'immediate' });
+    events.emit('theme:changed', { theme: 'dark' }, null, { mode: 'immediate' });
+    const recording = events.stopRecording();
+
+    assert.deepEqual(recording.events.map(record => record.type), ['page:loaded'], 'Nested and unmatched events should be left out');
+    assert.deepEqual(recording.events[0].data, { page: 'home' }, 'Payload should be recorded');
+    assert.equal(recording.events[0].mode, 'immediate', 'Mode should be recorded');
+    assert.false(events.isRecording(), 'Recording should have stopped');
+  });
+
+  testRunner.addTest('includeNested records events emitted by listeners', () => {
+    const { events } = createEvents();
+    events.on('page:loaded', () => events.emit('page:rendered', {}, null, { mode: 'immediate' }));
+
+    events.startRecording({ includeNested: true });
+    events.emit('page:loaded', {}, null, { mode: 'immediate' });
+    const recording = events.stopRecording();
+
+    assert.deepEqual(recording.events.map(record => record.type), ['page:loaded', 'page:rendered'], 'Nested event should be recorded');
+  });
+
+  testRunner.addTest('replays an exported recording into a world built from its snapshot', async () => {
+    const { world, events } = createEvents();
+    const button = world.createEntity();
+    events.startRecording();
+    events.emit('ui:click', { x: 1 }, button, { mode: 'immediate', bubbles: true });
+    events.emit('ui:click', { x: 2 }, button);
+    events.stopRecording();
+    const json = events.exportRecording();
+
+    const recording = JSON.parse(json);
+    const { events: replayEvents } = createEvents({}, World.fromJSON(recording.snapshot));
+    const received = [];
+    replayEvents.on('ui:click', (data, event) => received.push([data.x, event.sourceEntityId, event.bubbles]));
+
+    const count = await replayEvents.replay(json, { speed: Infinity });
+    replayEvents.update();
+
+    assert.equal(count, 2, 'Both events should be replayed');
+    assert.deepEqual(received, [[1, button, true], [2, button, false]], 'Events should be replayed with their source and options');
+  });
+
+  testRunner.addTest('timed replay keeps the order and can be stopped', async () => {
+    const { events } = createEvents();
+    const received = [];
+    events.on('tick', data => received.push(data.n));
+    const recording = {
+      version: 1,
+      events: [
+        { type: 'tick', data: { n: 1 }, offset: 0, sourceEntityId: null, mode: 'immediate' },
+        { type: 'tick', data: { n: 2 }, offset: 20, sourceEntityId: null, mode: 'immediate' },
+        { type: 'tick', data: { n: 3 }, offset: 4000, sourceEntityId: null, mode: 'immediate' }
+      ]
+    };
+
+    events.replay(recording, { speed: 2 });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    events.stopReplay();
+
+    assert.deepEqual(received, [1, 2], 'Events due so far should be replayed in order');
+    assert.equal(events.replayTimers.size, 0, 'Stopping should cancel the remaining events');
+  });
+
+  testRunner.addTest('replayed events skip their policy and validation', async () => {
+    const { events } = createEvents({ validatePayloads: true });
+    events.registerEvent('ui:scroll', {
+      payload: { y: { type: 'number', required: true } },
+      policy: { type: 'throttle', hz: 1 }
+    });
+    const received = [];
+    events.on('ui:scroll', data => received.push(data.y));
+    const recording = {
+      version: 1,
+      events: [1, 2, 'three'].map(y => ({ type: 'ui:scroll', data: { y }, offset: 0, sourceEntityId: null, mode: 'immediate' }))
+    };
+
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+    try {
+      await events.replay(recording, { speed: Infinity });
+    } finally {
+      console.warn = warn;
+    }
+
+    assert.deepEqual(received, [1, 2, 'three'], 'Every recorded event should be delivered');
+    assert.equal(warnings.length, 0, 'Recorded payloads should not be validated again');
+  });
+
+  testRunner.addTest('rejects unsupported recordings and speeds', async () => {
+    const { events } = createEvents();
+    let versionError = null;
+    let speedError = null;
+    await events.replay({ version: 99, events: [] }).catch(error => { versionError = error; });
+    await events.replay({ version: 1, events: [] }, { speed: 0 }).catch(error => { speedError = error; });
+
+    assert.true(versionError?.message.includes('Unsupported recording version'), 'Unknown version should be rejected');
+    assert.true(speedError?.message.includes('Invalid replay speed'), 'Zero speed should be rejected');
+  });
+});
+
+testRunner.describe('Payload validation', () => {
+  // Collect console.warn messages while fn runs
+  function captureWarnings(fn) {
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+    try {
+      fn();
+    } finally {
+      console.warn = warn;
+    }
+    return warnings;
+  }
+
+  testRunner.addTest('warns once per unregistered event type', () => {
+    const { events } = createEvents({ validatePayloads: true });
+    const warnings = captureWarnings(() => {
+      events.emit('custom:thing', {});
+      events.emit('custom:thing', {});
+    });
+
+    assert.equal(warnings.length, 1, 'Unregistered type should be reported once');
+    assert.true(warnings[0].includes('custom:thing'), 'Warning should name the type');
+  });
+
+  testRunner.addTest('warns about payloads that break the schema', () => {
+    const { events } = createEvents({ validatePayloads: true });
+    events.registerEvent('custom:saved', { payload: { id: { type: 'number', required: true } } });
+
+    const warnings = captureWarnings(() => {
+      events.emit('custom:saved', { id: 1 });
+      events.emit('custom:saved', { id: 'one' });
+    });
+
+    assert.equal(warnings.length, 1, 'Only the invalid payload should be reported');
+    assert.true(warnings[0].includes('Invalid payload for "custom:saved"'), 'Warning should name the type');
+  });
+
+  testRunner.addTest('does not validate when turned off', () => {
+    const { events } = createEvents({ validatePayloads: true });
+    events.setPayloadValidation(false);
+
+    const warnings = captureWarnings(() => events.emit('custom:thing', {}));
+    assert.equal(warnings.length, 0, 'Nothing should be reported');
+  });
+
+  testRunner.addTest('engine events are in the catalogue', () => {
+    const { events } = createEvents();
+    const types = events.getEventCatalogue().map(entry => entry.type);
+    assert.true(types.includes('loop:stopped'), 'Engine event should be registered');
+  });
+});
+
+testRunner.describe('Delivery policies', () => {
+  testRunner.addTest('drop keeps the pending event and drops later ones', () => {
+    const { events } = createEvents();
+    events.registerEvent('ui:save', { policy: 'drop' });
+    const received = [];
+    events.on('ui:save', data => received.push(data.n));
+
+    const first = events.emit('ui:save', { n: 1 });
+    assert.equal(events.emit('ui:save', { n: 2 }), null, 'Event arriving while one is pending should be dropped');
+    assert.notEqual(first, null, 'First event should be emitted');
+
+    events.update();
+    events.emit('ui:save', { n: 3 });
+    events.update();
+    assert.deepEqual(received, [1, 3], 'Events after delivery should go through again');
+  });
+
+  testRunner.addTest('drop does not affect immediate events', () => {
+    const { events } = createEvents();
+    events.registerEvent('ui:save', { policy: 'drop' });
+    const received = [];
+    events.on('ui:save', data => received.push(data.n));
+
+    events.emit('ui:save', { n: 1 }, null, { mode: 'immediate' });
+    events.emit('ui:save', { n: 2 }, null, { mode: 'immediate' });
+    assert.deepEqual(received, [1, 2], 'Nothing is pending between immediate events');
+  });
+
+  testRunner.addTest('throttle delivers at most hz events per second', () => {
+    const { events } = createEvents();
+    events.registerEvent('ui:scroll', { policy: { type: 'throttle', hz: 10 } });
+    const received = [];
+    events.on('ui:scroll', data => received.push(data.y));
+
+    events.emit('ui:scroll', { y: 1 }, null, { mode: 'immediate' });
+    events.emit('ui:scroll', { y: 2 }, null, { mode: 'immediate' });
+    events.policyState.get('ui:scroll').lastEmitted -= 100;
+    events.emit('ui:scroll', { y: 3 }, null, { mode: 'immediate' });
+
+    assert.deepEqual(received, [1, 3], 'Event within the interval should be dropped');
+  });
+
+  testRunner.addTest('debounce delivers the last event once and validates it once', async () => {
+    const { events } = createEvents({ validatePayloads: true });
+    events.registerEvent('ui:resize', {
+      payload: { width: { type: 'number', required: true } },
+      policy: { type: 'debounce', wait: 5 }
+    });
+    const received = [];
+    events.on('ui:resize', data => received.push(data.width));
+
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+    try {
+      events.emit('ui:resize', { width: 'wide' }, null, { mode: 'immediate' });
+      await new Promise(resolve => setTimeout(resolve, 20));
+    } finally {
+      console.warn = warn;
+    }
+    assert.deepEqual(received, ['wide'], 'Debounced event should be delivered after the wait');
+    assert.equal(warnings.length, 1, 'Invalid payload should be reported once');
+
+    events.emit('ui:resize', { width: 1 }, null, { mode: 'immediate' });
+    events.emit('ui:resize', { width: 2 }, null, { mode: 'immediate' });
+    assert.equal(received.length, 1, 'Nothing should be delivered during the wait');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.deepEqual(received, ['wide', 2], 'Only the last event should be delivered');
+  });
+
+  testRunner.addTest('coalesce merges queued events into the pending one', () => {
+    const { events } = createEvents();
+    events.registerEvent('ui:move', { policy: 'coalesce' });
+    const received = [];
+    events.on('ui:move', data => received.push(data.x));
+
+    const first = events.emit('ui:move', { x: 1 });
+    const second = events.emit('ui:move', { x: 2 });
+    assert.equal(second, first, 'Second event should reuse the pending entity');
+
+    events.update();
+    events.emit('ui:move', { x: 3 });
+    events.update();
+    assert.deepEqual(received, [2, 3], 'Latest payload should be delivered once per update');
+  });
+
+  testRunner.addTest('unmount cancels pending debounced events and replays', async () => {
+    const { events } = createEvents();
+    events.registerEvent('ui:resize', { policy: { type: 'debounce', wait: 5 } });
+    const received = [];
+    events.on('ui:resize', () => received.push('resize'));
+    events.on('tick', () => received.push('tick'));
+
+    events.emit('ui:resize', {}, null, { mode: 'immediate' });
+    events.replay({
+      version: 1,
+      events: [{ type: 'tick', data: {}, offset: 5, sourceEntityId: null, mode: 'immediate' }]
+    });
+    events.unmount();
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.deepEqual(received, [], 'Nothing should be emitted after unmount');
+    assert.equal(events.replayTimers.size, 0, 'Replay timers should be cleared');
+  });
+
+  testRunner.addTest('policy: false bypasses the policy', () => {
+    const { events } = createEvents();
+    events.registerEvent('ui:save', { policy: 'drop' });
+
+    events.emit('ui:save', {});
+    assert.notEqual(events.emit('ui:save', {}, null, { policy: false }), null, 'Event should be emitted');
+  });
+});
+
+testRunner.describe('Notifications', () => {
+  testRunner.addTest('last a number of frames, not updates', () => {
+    const { world, events } = createEvents({ notificationLifetime: 2 });
+    const listenerId = events.on('page:ready', () => {});
+    events.emit('page:ready', {}, null, { mode: 'immediate' });
+    assert.true(world.hasComponent(listenerId, 'eventNotification'), 'Listener should be notified');
+
+    // Several updates within one frame
+    events.update();
+    events.update();
+    events.update();
+    assert.true(world.hasComponent(listenerId, 'eventNotification'), 'Notification should survive updates in the same frame');
+
+    world.endFrame();
+    events.update();
+    assert.true(world.hasComponent(listenerId, 'eventNotification'), 'Notification should be visible in the next frame');
+
+    world.endFrame();
+    events.update();
+    assert.false(world.hasComponent(listenerId, 'eventNotification'), 'Notification should be removed after its lifetime');
+  });
+});
+
+// Run Tests
+testRunner.run();
@@ -0,0 +1,8 @@
+// Page module fixture for the PageSystem cache tests
+export default {
+  name: 'alpha',
+  visits: 0,
+  init() {
+    this.visits++;
+  }
+};
@@ -0,0 +1,708 @@
+// Tests for PageSystem: hash and history routing, navigation guards, page transitions and the page module cache
+import { testRunner, assert } from '../../test-runner.js';
+import { PageSystem } from '../../../systems/pageSystem.js';
+import { domElementSchema } from '../../../components/domElement.js';
+import { createEvents } from '../../fixtures.js';
+
+// Just enough of an element for the PageSystem and PageTransitions
+class FakeElement extends EventTarget {
+  constructor(tagName = 'div') {
+    super();
+    this.tagName = tagName.toUpperCase();
+    this.children = [];
+    this.parentElement = null;
+    this.attributes = new Map();
+    this.id = '';
+    this.className = '';
+    this.textContent = '';
+    this.inert = false;
+    const classes = new Set();
+    this.classList = {
+      add: name => classes.add(name),
+      remove: name => classes.delete(name),
+      contains: name => classes.has(name)
+    };
+  }
+
+  appendChild(child) {
+    return this.insertBefore(child, null);
+  }
+
+  insertBefore(child, reference) {
+    child.remove();
+    const index = reference ? this.children.indexOf(reference) : -1;
+    if (index === -1) {
+      this.children.push(child);
+    } else {
+      this.children.splice(index, 0, child);
+    }
+    child.parentElement = this;
+    return child;
+  }
+
+  remove() {
+    if (!this.parentElement) return;
+    const siblings = this.parentElement.children;
+    siblings.splice(siblings.indexOf(this), 1);
+    this.parentElement = null;
+  }
+
+  set innerHTML(html) {
+    this.children.forEach(child => { child.parentElement = null; });
+    this.children = [];
+    this.html = html;
+  }
+
+  get innerHTML() {
+    return this.html || '';
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+
+  getAttribute(name) {
+    return this.attributes.get(name) ?? null;
+  }
+
+  hasAttribute(name) {
+    return this.attributes.has(name);
+  }
+
+  removeAttribute(name) {
+    this.attributes.delete(name);
+  }
+}
+
+// Install window, document and history globals for one test. The browser
+// keeps a list of history entries so tests can count them.
+function installBrowser(url = 'http://localhost/') {
+  const root = new FakeElement();
+  root.id = 'root';
+
+  const location = {};
+  const setURL = (href) => {
+    const parsed = new URL(href, location.href || url);
+    Object.assign(location, {
+      href: parsed.href,
+      origin: parsed.origin,
+      hostname: parsed.hostname,
+      pathname: parsed.pathname,
+      search: parsed.search,
+      hash: parsed.hash
+    });
+  };
+  setURL(url);
+
+  const browser = {
+    root,
+    entries: [location.href],
+    index: 0,
+
+    // The user follows a link or types a URL: add an entry, then fire the
+    // event the browser would
+    visit(href, eventType) {
+      setURL(href);
+      browser.entries.splice(browser.index + 1, Infinity, location.href);
+      browser.index++;
+      window.dispatchEvent(new Event(eventType));
+    },
+
+    // The user presses the back button
+    back() {
+      browser.index--;
+      setURL(browser.entries[browser.index]);
+      window.dispatchEvent(new Event('popstate'));
+    }
+  };
+
+  globalThis.window = Object.assign(new EventTarget(), { location });
+  globalThis.document = Object.assign(new EventTarget(), {
+    head: new FakeElement('head'),
+    getElementById: id => (id === 'root' ? root : null),
+    createElement: tagName => new FakeElement(tagName)
+  });
+  globalThis.history = {
+    pushState(state, title, href) {
+      setURL(href);
+      browser.entries.splice(browser.index + 1, Infinity, location.href);
+      browser.index++;
+    },
+    replaceState(state, title, href) {
+      setURL(href);
+      browser.entries[browser.index] = location.href;
+    }
+  };
+
+  return browser;
+}
+
+const pageSystems = [];
+testRunner.afterEach(() => {
+  pageSystems.splice(0).forEach(pageSystem => pageSystem.transitions.finish());
+  delete globalThis.window;
+  delete globalThis.document;
+  delete globalThis.history;
+});
+
+// Quiet the PageSystem's progress logging
+console.info = () => {};
+
+// A page module that logs its lifecycle
+function createPage(name, log = [], methods = {}) {
+  return {
+    name,
+    init(context) {
+      log.push(`${name}:init`);
+      this.context = context;
+    },
+    mount() {
+      log.push(`${name}:mount`);
+    },
+    unmount() {
+      log.push(`${name}:unmount`);
+    },
+    ...methods
+  };
+}
+
+// Create a PageSystem with its page modules already in the cache
+function createPageSystem({ pages = {}, routes, ...options } = {}) {
+  const { world, events } = createEvents();
+  world.registerSchema('domElement', domElementSchema);
+
+  const pageSystem = new PageSystem();
+  pageSystem.init(world, {
+    routes: routes || [
+      { path: '', redirect: 'home' },
+      { path: 'home', page: 'home' },
+      { path: 'about', page: 'about' },
+      { path: 'projects', page: 'projects', children: [{ path: ':id' }] },
+      { path: '*', page: 'not-found', notFound: true }
+    ],
+    basePath: '',
+    ...options
+  });
+  pageSystem.cssLoader = { loadCSS: () => Promise.resolve(null) };
+  for (const [name, definition] of Object.entries(pages)) {
+    pageSystem.pageModules.set(name, { definition, instance: null });
+  }
+
+  world.addSystem('page', pageSystem);
+  pageSystems.push(pageSystem);
+  return { world, events, pageSystem };
+}
+
+function createSite(log = []) {
+  return {
+    home: createPage('home', log),
+    about: createPage('about', log),
+    projects: createPage('projects', log),
+    'not-found': createPage('not-found', log)
+  };
+}
+
+// Let event listeners and pending navigations run
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+testRunner.describe('Hash routing', () => {
+  testRunner.addTest('loads the page in the hash on start', async () => {
+    installBrowser('http://localhost/#projects/engine?tab=readme');
+    const log = [];
+    const { pageSystem } = createPageSystem({ pages: createSite(log) });
+
+    pageSystem.start();
+    await settle();
+
+    assert.equal(pageSystem.currentLocation, 'projects/engine?tab=readme', 'Location should be loaded');
+    assert.deepEqual(pageSystem.currentPage.context.params, { id: 'engine' }, 'Params should reach the page');
+    assert.deepEqual(log, ['projects:init', 'projects:mount'], 'Page should be initialized and mounted');
+  });
+
+  testRunner.addTest('shows where a redirect led', async () => {
+    const browser = installBrowser('http://localhost/');
+    const { pageSystem } = createPageSystem({ pages: createSite() });
+
+    pageSystem.start();
+    await settle();
+
+    assert.equal(window.location.hash, '#home', 'Address bar should show the redirect target');
+    assert.equal(browser.entries.length, 1, 'Redirect should not add an entry');
+  });
+
+  testRunner.addTest('navigate adds one history entry per navigation', async () => {
+    const browser = installBrowser('http://localhost/#home');
+    const log = [];
+    const { pageSystem } = createPageSystem({ pages: createSite(log) });
+    pageSystem.start();
+    await settle();
+
+    await pageSystem.navigate('about');
+    await pageSystem.navigate('#projects/engine');
+
+    assert.deepEqual(browser.entries.map(entry => new URL(entry).hash), ['#home', '#about', '#projects/engine'], 'Each navigation should add an entry');
+    assert.deepEqual(log, ['home:init', 'home:mount', 'about:init', 'home:unmount', 'about:mount', 'projects:init', 'about:unmount', 'projects:mount'], 'Pages should be swapped in order');
+  });
+
+  testRunner.addTest('navigate with replace keeps the number of entries', async () => {
+    const browser = installBrowser('http://localhost/#home');
+    const { pageSystem } = createPageSystem({ pages: createSite() });
+    pageSystem.start();
+    await settle();
+
+    await pageSystem.navigate('about', { replace: true });
+
+    assert.deepEqual(browser.entries.map(entry => new URL(entry).hash), ['#about'], 'Entry should be replaced');
+  });
+
+  testRunner.addTest('follows hash changes', async () => {
+    const browser = installBrowser('http://localhost/#home');
+    const { pageSystem } = createPageSystem({ pages: createSite() });
+    pageSystem.start();
+    await settle();
+
+    browser.visit('#about', 'hashchange');
+    await settle();
+    assert.equal(pageSystem.currentRoute, 'about', 'Typed hash should be loaded');
+  });
+});
+
+testRunner.describe('History routing', () => {
+  testRunner.addTest('loads the page in the path under basePath', async () => {
+    installBrowser('http://localhost/site/projects/engine');
+    const { pageSystem } = createPageSystem({ pages: createSite(), mode: 'history', basePath: '/site' });
+
+    pageSystem.start();
+    await settle();
+
+    assert.equal(pageSystem.currentLocation, 'projects/engine', 'Path should be loaded');
+  });
+
+  testRunner.addTest('paths outside basePath load the default route', async () => {
+    installBrowser('http://localhost/elsewhere/about');
+    const { pageSystem } = createPageSystem({ pages: createSite(), mode: 'history', basePath: '/site' });
+
+    assert.equal(pageSystem._getLocation(), '', 'Location should be empty rather than null');
+    pageSystem.start();
+    await settle();
+
+    assert.equal(pageSystem.currentRoute, 'home', 'Home should be loaded');
+    assert.equal(window.location.pathname, '/site/home', 'Address bar should show home');
+  });
+
+  testRunner.addTest('navigate pushes a path and back returns to the previous page', async () => {
+    const browser = installBrowser('http://localhost/home');
+    const { pageSystem } = createPageSystem({ pages: createSite(), mode: 'history' });
+    pageSystem.start();
+    await settle();
+
+    await pageSystem.navigate('about?tab=team');
+    assert.equal(window.location.pathname + window.location.search, '/about?tab=team', 'Path should be pushed');
+    assert.equal(browser.entries.length, 2, 'One entry should be added');
+
+    browser.back();
+    await settle();
+    assert.equal(pageSystem.currentRoute, 'home', 'Back should load the previous page');
+  });
+
+  testRunner.addTest('upgrades legacy hash routes to paths', async () => {
+    const browser = installBrowser('http://localhost/#about');
+    const { pageSystem } = createPageSystem({ pages: createSite(), mode: 'history' });
+
+    pageSystem.start();
+    await settle();
+    assert.equal(window.location.pathname, '/about', 'Hash route should become a path');
+    assert.equal(pageSystem.currentRoute, 'about', 'Page should be loaded');
+
+    browser.visit('#home', 'hashchange');
+    await settle();
+    assert.equal(window.location.pathname, '/home', 'Hash assignment should be upgraded too');
+    assert.equal(pageSystem.currentRoute, 'home', 'Page should be loaded');
+  });
+
+  testRunner.addTest('a cancelled navigation leaves no history entry', async () => {
+    const browser = installBrowser('http://localhost/home');
+    const { pageSystem } = createPageSystem({ pages: createSite(), mode: 'history' });
+    pageSystem.start();
+    await settle();
+
+    pageSystem.beforeEnter(to => to.path !== 'about');
+    await pageSystem.navigate('about');
+
+    assert.equal(browser.entries.length, 1, 'No entry should be added');
+    assert.equal(window.location.pathname, '/home', 'Address bar should keep the current page');
+    assert.equal(pageSystem.currentRoute, 'home', 'Current page should stay');
+  });
+
+  testRunner.addTest('a cancelled URL change is undone in the address bar', async () => {
+    const browser = installBrowser('http://localhost/home');
+    const { pageSystem } = createPageSystem({ pages: createSite(), mode: 'history' });
+    pageSystem.start();
+    await settle();
+
+    pageSystem.beforeLeave(() => false);
+    browser.visit('/about', 'popstate');
+    await settle();
+
+    assert.equal(window.location.pathname, '/home', 'Address bar should show the current page again');
+    assert.equal(pageSystem.currentRoute, 'home', 'Current page should stay');
+  });
+});
+
+// A promise with its resolve function, to hold a step back
+function createGate() {
+  let open;
+  const promise = new Promise(resolve => { open = resolve; });
+  return { promise, open };
+}
+
+testRunner.describe('Navigation guards', () => {
+  testRunner.addTest('run global guards before the page module\'s, in lifecycle order', async () => {
+    installBrowser('http://localhost/#home');
+    const log = [];
+    const pages = createSite(log);
+    pages.home.beforeLeave = () => { log.push('home:beforeLeave'); };
+    pages.about.beforeEnter = () => { log.push('about:beforeEnter'); };
+    pages.about.afterEnter = () => { log.push('about:afterEnter'); };
+    const { pageSystem } = createPageSystem({ pages });
+    pageSystem.start();
+    await settle();
+
+    log.length = 0;
+    pageSystem.beforeLeave((to, from) => { log.push(`beforeLeave ${from.path}>${to.path}`); });
+    pageSystem.beforeEnter(() => { log.push('beforeEnter'); });
+    pageSystem.afterEnter(() => { log.push('afterEnter'); });
+    await pageSystem.navigate('about');
+
+    assert.deepEqual(log, [
+      'beforeLeave home>about', 'home:beforeLeave',
+      'beforeEnter', 'about:beforeEnter',
+      'about:init', 'home:unmount', 'about:mount',
+      'afterEnter', 'about:afterEnter'
+    ], 'Guards should run in order around the page swap');
+  });
+
+  testRunner.addTest('a guard can redirect', async () => {
+    installBrowser('http://localhost/#home');
+    const { pageSystem } = createPageSystem({ pages: createSite() });
+    pageSystem.start();
+    await settle();
+
+    pageSystem.beforeEnter(to => (to.path === 'about' ? '#projects/engine' : undefined));
+    await pageSystem.navigate('about');
+
+    assert.equal(pageSystem.currentLocation, 'projects/engine', 'Redirect target should be loaded');
+    assert.equal(window.location.hash, '#projects/engine', 'Address bar should show the redirect target');
+  });
+
+  testRunner.addTest('a failing guard or a prevented page:beforeNavigate cancels', async () => {
+    installBrowser('http://localhost/#home');
+    const { events, pageSystem } = createPageSystem({ pages: createSite() });
+    pageSystem.start();
+    await settle();
+
+    const error = console.error;
+    console.error = () => {};
+    const removeGuard = pageSystem.beforeLeave(() => { throw new Error('unsaved changes'); });
+    try {
+      await pageSystem.navigate('about');
+    } finally {
+      console.error = error;
+    }
+    assert.equal(pageSystem.currentRoute, 'home', 'Failing guard should cancel');
+
+    removeGuard();
+    events.on('page:beforeNavigate', (data, event) => event.preventDefault());
+    await pageSystem.navigate('about');
+    assert.equal(pageSystem.currentRoute, 'home', 'Prevented event should cancel');
+  });
+
+  testRunner.addTest('a newer navigation supersedes one waiting on its guards', async () => {
+    installBrowser('http://localhost/#home');
+    const log = [];
+    const { pageSystem } = createPageSystem({ pages: createSite(log) });
+    pageSystem.start();
+    await settle();
+
+    const gate = createGate();
+    pageSystem.beforeEnter(to => (to.path === 'about' ? gate.promise : undefined));
+    const first = pageSystem.navigate('about');
+    await pageSystem.navigate('projects');
+    gate.open();
+    await first;
+
+    assert.equal(pageSystem.currentRoute, 'projects', 'Newer navigation should win');
+    assert.false(log.includes('about:init'), 'Superseded page should not be loaded');
+  });
+
+  testRunner.addTest('a page superseded during its import is dropped', async () => {
+    const browser = installBrowser('http://localhost/#home');
+    const log = [];
+    const pages = createSite(log);
+    const { pageSystem } = createPageSystem({ pages: { home: pages.home, projects: pages.projects } });
+    pageSystem.start();
+    await settle();
+
+    // A slow network for the about page
+    const gate = createGate();
+    pageSystem._importPageModule = async (pageName) => {
+      await gate.promise;
+      pageSystem.pageModules.set(pageName, { definition: pages[pageName], instance: null });
+      return pages[pageName];
+    };
+    const first = pageSystem.loadPage('about');
+    await pageSystem.loadPage('projects');
+    gate.open();
+
+    assert.false(await first, 'Superseded load should report it was dropped');
+    assert.false(log.includes('about:init'), 'Superseded page should not be initialized');
+    assert.equal(pageSystem.currentRoute, 'projects', 'Newer page should stay current');
+    assert.deepEqual(browser.root.children.map(child => child.id), ['page-projects'], 'Only the newer page should be in the document');
+  });
+
+  testRunner.addTest('a page superseded during its init is destroyed', async () => {
+    const browser = installBrowser('http://localhost/#home');
+    const gate = createGate();
+    const pages = createSite();
+    let aboutEntityId = null;
+    pages.about.init = async ({ entityId, createEntity }) => {
+      aboutEntityId = entityId;
+      createEntity();
+      await gate.promise;
+    };
+    const { world, pageSystem } = createPageSystem({ pages });
+    pageSystem.start();
+    await settle();
+
+    const first = pageSystem.navigate('about');
+    await settle();
+    const children = world.getChildren(aboutEntityId);
+    await pageSystem.navigate('projects');
+    gate.open();
+    await first;
+
+    assert.false(world.isAlive(aboutEntityId), 'Superseded page entity should be destroyed');
+    assert.false(children.some(childId => world.isAlive(childId)), 'Entities it created should go with it');
+    assert.equal(pageSystem.currentRoute, 'projects', 'Newer page should stay current');
+    assert.deepEqual(browser.root.children.map(child => child.id), ['page-projects'], 'Only the newer page should be in the document');
+  });
+
+  testRunner.addTest('the current page stays when the navigation superseding a page in its init is cancelled', async () => {
+    const browser = installBrowser('http://localhost/#home');
+    const log = [];
+    const gate = createGate();
+    const pages = createSite(log);
+    pages.about.init = () => gate.promise;
+    const { pageSystem } = createPageSystem({ pages });
+    pageSystem.start();
+    await settle();
+
+    const first = pageSystem.navigate('about');
+    await settle();
+    assert.deepEqual(browser.root.children.map(child => child.hidden), [true, false], 'Page in its init should be hidden');
+
+    pageSystem.beforeEnter(to => (to.path === 'projects' ? false : undefined));
+    await pageSystem.navigate('projects');
+    gate.open();
+    await first;
+
+    assert.equal(pageSystem.currentRoute, 'home', 'Current page should stay current');
+    assert.equal(window.location.hash, '#home', 'Address bar should show the current page again');
+    assert.false(log.includes('home:unmount'), 'Current page should stay mounted');
+    assert.deepEqual(browser.root.children.map(child => child.id), ['page-home'], 'Current page should stay in the document');
+    assert.false(browser.root.children[0].hidden, 'Current page should stay visible');
+  });
+
+  testRunner.addTest('a page whose init throws is destroyed and the error shown', async () => {
+    const browser = installBrowser('http://localhost/#home');
+    const pages = createSite();
+    let aboutEntityId = null;
+    pages.about.init = ({ entityId }) => {
+      aboutEntityId = entityId;
+      throw new Error('broken page');
+    };
+    const { world, pageSystem } = createPageSystem({ pages });
+    pageSystem.start();
+    await settle();
+
+    const afterEnter = [];
+    pageSystem.afterEnter(to => afterEnter.push(to.path));
+    const error = console.error;
+    console.error = () => {};
+    try {
+      await pageSystem.navigate('about');
+    } finally {
+      console.error = error;
+    }
+
+    assert.false(world.isAlive(aboutEntityId), 'Failed page entity should be destroyed');
+    assert.true(browser.root.innerHTML.includes('broken page'), 'Error should be shown');
+    assert.deepEqual(afterEnter, [], 'afterEnter should not run for a failed page');
+  });
+});
+
+testRunner.describe('Page transitions', () => {
+  // Elements that animate until the transition is finished
+  function makeAnimatable() {
+    const createElement = document.createElement;
+    const animations = [];
+    document.createElement = (tagName) => {
+      const element = createElement(tagName);
+      element.animate = (keyframes, timing) => {
+        let resolve;
+        const animation = {
+          timing,
+          finished: new Promise(res => { resolve = res; }),
+          finish: () => resolve(),
+          cancel: () => resolve()
+        };
+        animations.push(animation);
+        return animation;
+      };
+      return element;
+    };
+    return animations;
+  }
+
+  testRunner.addTest('keeps the outgoing page until the route\'s transition ends', async () => {
+    const browser = installBrowser('http://localhost/#projects');
+    const animations = makeAnimatable();
+    const { pageSystem } = createPageSystem({
+      pages: createSite(),
+      routes: [
+        { path: 'projects', page: 'projects', children: [{ path: ':id', meta: { transition: 'slide' } }] }
+      ],
+      transition: { name: 'fade', duration: 80 }
+    });
+    pageSystem.start();
+    await settle();
+    animations.forEach(animation => animation.finish());
+    await settle();
+
+    animations.length = 0;
+    const navigation = pageSystem.navigate('projects/engine');
+    await settle();
+
+    const [incoming, outgoing] = browser.root.children;
+    assert.equal(incoming.id, 'page-projects', 'New page should come first');
+    assert.true(outgoing.classList.contains('page-leaving') && outgoing.inert, 'Old page should be inert while it leaves');
+    assert.equal(animations.length, 2, 'Both pages should animate');
+    assert.equal(animations[1].timing.delay, 0, 'Route transition (slide) should be used instead of the default fade');
+
+    animations.forEach(animation => animation.finish());
+    await navigation;
+    assert.equal(browser.root.children.length, 1, 'Old page should be removed when the transition ends');
+    assert.equal(browser.root.children[0], incoming, 'New page should stay');
+  });
+});
+
+testRunner.describe('Page module cache', () => {
+  // Page modules imported from fixtures/pages
+  function createCachedPageSystem(cache) {
+    return createPageSystem({
+      routes: [{ path: ':page', page: ({ page }) => page }],
+      basePath: new URL('./fixtures', import.meta.url).href,
+      cache
+    });
+  }
+
+  // Count the imports that actually start
+  function countImports(pageSystem) {
+    const imports = [];
+    const importPageModule = pageSystem._importPageModule.bind(pageSystem);
+    pageSystem._importPageModule = (pageName) => {
+      imports.push(pageName);
+      return importPageModule(pageName);
+    };
+    return imports;
+  }
+
+  testRunner.addTest('prefetch imports a page once and the visit uses it', async () => {
+    installBrowser('http://localhost/#alpha');
+    const { pageSystem } = createCachedPageSystem();
+    const imports = countImports(pageSystem);
+
+    const [first, second] = await Promise.all([pageSystem.prefetch('#alpha'), pageSystem.prefetch('alpha')]);
+    assert.equal(first.name, 'alpha', 'Prefetch should resolve with the page definition');
+    assert.equal(first, second, 'Both prefetches should get the same definition');
+
+    pageSystem.start();
+    await settle();
+    assert.deepEqual(imports, ['alpha'], 'Page should be imported once');
+    assert.equal(pageSystem.currentPage.name, 'alpha', 'Prefetched page should be loaded');
+  });
+
+  testRunner.addTest('page:prefetch events prefetch the route', async () => {
+    installBrowser('http://localhost/');
+    const { events, pageSystem } = createCachedPageSystem();
+
+    events.emit('page:prefetch', { route: 'beta' }, null, { mode: 'immediate' });
+    await settle();
+    assert.true(pageSystem.pageModules.has('beta'), 'Page module should be cached');
+  });
+
+  testRunner.addTest('evicts the least recently used module', async () => {
+    installBrowser('http://localhost/');
+    const { pageSystem } = createCachedPageSystem({ size: 2 });
+
+    await pageSystem.loadPage('alpha');
+    await pageSystem.loadPage('beta');
+    await pageSystem.loadPage('alpha');
+    await pageSystem.loadPage('gamma');
+
+    assert.deepEqual([...pageSystem.pageModules.keys()], ['alpha', 'gamma'], 'beta was used least recently');
+  });
+
+  testRunner.addTest('a prefetch does not count as a use', async () => {
+    installBrowser('http://localhost/');
+    const { pageSystem } = createCachedPageSystem({ size: 2 });
+
+    await pageSystem.loadPage('alpha');
+    await pageSystem.loadPage('beta');
+    await pageSystem.prefetch('alpha');
+    await pageSystem.loadPage('gamma');
+
+    assert.deepEqual([...pageSystem.pageModules.keys()], ['beta', 'gamma'], 'Prefetched alpha should still be the oldest');
+  });
+
+  testRunner.addTest('a prefetch brings an evicted module back and skips cached ones', async () => {
+    installBrowser('http://localhost/');
+    const { pageSystem } = createCachedPageSystem({ size: 2 });
+    const imports = countImports(pageSystem);
+
+    await pageSystem.prefetch('alpha');
+    await pageSystem.prefetch('beta');
+    await pageSystem.prefetch('gamma');
+    await pageSystem.prefetch('gamma');
+    await pageSystem.prefetch('alpha');
+
+    assert.deepEqual(imports, ['alpha', 'beta', 'gamma', 'alpha'], 'Only evicted modules should be imported again');
+    assert.deepEqual([...pageSystem.pageModules.keys()], ['gamma', 'alpha'], 'Evicted module should be cached again');
+  });
+
+  testRunner.addTest('every visit gets a fresh page object unless reuse is on', async () => {
+    installBrowser('http://localhost/');
+    const fresh = createCachedPageSystem().pageSystem;
+    await fresh.loadPage('alpha');
+    const firstVisit = fresh.currentPage;
+    await fresh.loadPage('beta');
+    await fresh.loadPage('alpha');
+
+    assert.notEqual(fresh.currentPage, firstVisit, 'Each visit should get its own page object');
+    assert.equal(fresh.currentPage.visits, 1, 'State should not leak between visits');
+
+    const reused = createCachedPageSystem({ reuse: true }).pageSystem;
+    await reused.loadPage('gamma');
+    const gamma = reused.currentPage;
+    await reused.loadPage('beta');
+    await reused.loadPage('gamma');
+
+    assert.equal(reused.currentPage, gamma, 'Page object should be reused');
+    assert.equal(gamma.visits, 2, 'State should be kept between visits');
+  });
+});
+
+// Run Tests
+testRunner.run();
@@ -0,0 +1,20 @@
+/**
+ * @fileoverview Test Fixtures
+ *
+ * Engine setups shared by the engine test files.
+ */
+import { World } from '../core/world.js';
+import { EventSystem } from '../systems/eventSystem.js';
+
+/**
+ * Create a world with an event system that validates nothing
+ * @param {Object} [options={}] - EventSystem options
+ * @param {World} [world] - World to add the event system to; a new one by default
+ * @returns {Object} The world and its event system ({ world, events })
+ */
+export function createEvents(options = {}, world = new World()) {
+  const events = new EventSystem();
+  events.init(world, { validatePayloads: false, ...options });
+  world.addSystem('event', events);
+  return { world, events };
+}
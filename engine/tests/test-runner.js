@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Test Runner and Assertions
+ *
+ * The runner and assertion helpers from theme-selector.test.js, shared so
+ * the engine test files can import them. Tests may be async; they run one
+ * after another.
+ *
+ * Test files are ES modules. Run one with
+ * `node --experimental-detect-module engine/tests/engine/core/query.test.js`
+ * (Node 22 detects ES modules without the flag).
+ */
+
+/**
+ * Create a test runner
+ * @returns {Object} Runner with addTest, describe, beforeEach, afterEach and run
+ */
+export function createTestRunner() {
+  const tests = [];
+  let beforeEachFn = null;
+  let afterEachFn = null;
+
+  return {
+    addTest(name, fn) {
+      tests.push({ name, fn });
+    },
+
+    // Prefix the tests added by testDefinitions with the group name
+    describe(groupName, testDefinitions) {
+      const originalTestsLength = tests.length;
+      testDefinitions();
+      for (let i = originalTestsLength; i < tests.length; i++) {
+        tests[i].name = `${groupName}: ${tests[i].name}`;
+      }
+    },
+
+    beforeEach(fn) {
+      beforeEachFn = fn;
+    },
+
+    afterEach(fn) {
+      afterEachFn = fn;
+    },
+
+    async run() {
+      console.log('Running Tests...');
+      let passed = 0;
+
+      for (const { name, fn } of tests) {
+        try {
+          if (beforeEachFn) await beforeEachFn();
+          await fn();
+
+          console.log(`✅ ${name}`);
+          passed++;
+        } catch (error) {
+          console.error(`❌ ${name}`);
+          console.error(error.message);
+        } finally {
+          if (afterEachFn) await afterEachFn();
+        }
+      }
+
+      console.log(`${passed}/${tests.length} tests passed.`);
+      if (passed !== tests.length && typeof process !== 'undefined') {
+        process.exitCode = 1;
+      }
+      return { passed, total: tests.length };
+    }
+  };
+}
+
+export const testRunner = createTestRunner();
+
+// Assertion Library
+export const assert = {
+  equal(actual, expected, message = 'Values are not equal') {
+    if (actual !== expected) {
+      throw new Error(`${message}: Expected ${expected}, but got ${actual}`);
+    }
+  },
+
+  true(value, message = 'Value is not true') {
+    if (!value) {
+      throw new Error(`${message}: Expected true, but got ${value}`);
+    }
+  },
+
+  false(value, message = 'Value is not false') {
+    if (value) {
+      throw new Error(`${message}: Expected false, but got ${value}`);
+    }
+  },
+
+  notEqual(actual, expected, message = 'Values should not be equal') {
+    if (actual === expected) {
+      throw new Error(`${message}: ${actual} should not equal ${expected}`);
+    }
+  },
+
+  defined(value, message = 'Value is undefined') {
+    if (value === undefined) {
+      throw new Error(message);
+    }
+  },
+
+  // Compare through JSON, so arrays and plain objects compare by content
+  deepEqual(actual, expected, message = 'Values are not deeply equal') {
+    const actualJSON = JSON.stringify(actual);
+    const expectedJSON = JSON.stringify(expected);
+    if (actualJSON !== expectedJSON) {
+      throw new Error(`${message}: Expected ${expectedJSON}, but got ${actualJSON}`);
+    }
+  },
+
+  throws(fn, message = 'Function did not throw') {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error(message);
+  }
+};
@@ -50,6 +50,23 @@ const contact = {
     return this;
   },
   
+  // Navigation guard: ask before leaving the page with an unsent message
+  beforeLeave() {
+    if (this._hasUnsavedInput() && !window.confirm('Discard your unsent message?')) {
+      return false;
+    }
+  },
+  
+  // Check whether any field of the contact form has been filled in
+  _hasUnsavedInput() {
+    const form = document.querySelector('#contact-form');
+    if (!form) return false;
+    
+    return Array.from(form.elements).some(field =>
+      (field.tagName === 'INPUT' || field.tagName === 'TEXTAREA') && field.value.trim() !== ''
+    );
+  },
+  
   // Render the contact page content
   render(container) {
     if (!container) return;
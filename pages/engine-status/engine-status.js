@@ -49,6 +49,17 @@ const devtools = {
     return this;
   },
   
+  /**
+   * Navigation guard: the page is only available in dev mode
+   * @returns {string|undefined} Location to redirect to when dev mode is off
+   */
+  beforeEnter() {
+    if (localStorage.getItem('devMode') !== 'true') {
+      console.info('Engine Status is only available in dev mode');
+      return 'home';
+    }
+  },
+  
   /**
    * Render the DevTools page
    * @param {HTMLElement} container - The container to render into
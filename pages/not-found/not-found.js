@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Not Found Page
+ * 
+ * Shown by the PageSystem when no route in pages/routes.js matches the
+ * current location.
+ */
+
+const notFoundPage = {
+  // Content data for the page
+  content: {
+    title: "Page Not Found",
+    message: "The page you were looking for doesn't exist or has moved.",
+    homeLabel: "Back to home"
+  },
+  
+  /**
+   * Initialize the not found page
+   * @param {Object} entity - The entity representing this page
+   */
+  async init(entity) {
+    this.entity = entity;
+    
+    const container = entity.getComponent?.('domElement')?.container ||
+                      document.querySelector('.page-container');
+    
+    if (!container) {
+      console.error('Not found page: Container not found');
+      return this;
+    }
+    
+    this.render(container, entity.route?.path || '');
+    return this;
+  },
+  
+  /**
+   * Render the not found page content
+   * @param {HTMLElement} container - The container to render into
+   * @param {string} path - Location that did not match any route
+   */
+  render(container, path) {
+    if (!container) return;
+    
+    const content = this.content;
+    const location = document.createElement('code');
+    location.textContent = path;
+    
+    container.innerHTML = `
+      <div class="not-found-page">
+        <h2 class="page-title">${content.title}</h2>
+        <p class="page-intro">${content.message}</p>
+        ${path ? `<p class="not-found-path">${location.outerHTML}</p>` : ''}
+        <a href="#home" class="not-found-home">${content.homeLabel}</a>
+      </div>
+    `;
+  },
+  
+  // Lifecycle methods
+  mount() {
+    console.info('Not found page mounted');
+  },
+  
+  unmount() {
+    console.info('Not found page unmounted');
+  }
+};
+
+export default notFoundPage;
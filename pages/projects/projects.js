@@ -2,7 +2,9 @@
  * @fileoverview Projects Page
  * 
  * This module defines the structure and content of the Projects page,
- * showing a collection of projects.
+ * showing a collection of projects. With an `id` route param
+ * (`#projects/Portfolio_Engine`) it shows that project's details, read from
+ * `pages/projects/<id>/project.js` when the project has a folder.
  */
 import { cssLoader } from '../../engine/modules/css-loader.js';
 
@@ -21,7 +23,7 @@ const projectsPage = {
       description: "A component-based engine for creating interactive portfolios with minimal configuration.",
       image: "/assets/images/placeholder.jpg",
       technologies: ["JavaScript", "CSS", "HTML", "ECS"],
-      link: "#portfolio-engine"
+      link: "#projects/Portfolio_Engine"
     },
     {
       id: "task-scheduler",
@@ -29,7 +31,7 @@ const projectsPage = {
       description: "A robust task scheduling system with dependency management and priority handling.",
       image: "/assets/images/placeholder.jpg",
       technologies: ["JavaScript", "Promise API", "Async/Await"],
-      link: "#task-scheduler"
+      link: "#projects/task-scheduler"
     },
     {
       id: "theme-manager",
@@ -37,7 +39,7 @@ const projectsPage = {
       description: "A theming system that supports light, dark, and custom themes with dynamic switching.",
       image: "/assets/images/placeholder.jpg",
       technologies: ["CSS Variables", "JavaScript", "LocalStorage"],
-      link: "#theme-manager"
+      link: "#projects/theme-manager"
     }
   ],
   
@@ -48,6 +50,7 @@ const projectsPage = {
   async init(entity) {
     this.entity = entity;
     this.world = entity.world || window.portfolioEngine?.world;
+    this.params = entity.params || {};
     
     // Load CSS specific to this module
     try {
@@ -67,12 +70,78 @@ const projectsPage = {
       return this;
     }
     
-    // Render the page content
-    this.render(container);
+    // Render the project details or the project list
+    if (this.params.id) {
+      await this.renderProject(container, this.params.id);
+    } else {
+      this.render(container);
+    }
     
     return this;
   },
   
+  /**
+   * Render the details of one project
+   * @param {HTMLElement} container - The container to render into
+   * @param {string} projectId - Project folder name or project ID
+   */
+  async renderProject(container, projectId) {
+    const project = await this._loadProject(projectId);
+    
+    if (!project) {
+      container.innerHTML = `
+        <div class="projects-page project-detail">
+          <a href="#projects" class="project-back">&larr; All projects</a>
+          <h2 class="page-title">Project not found</h2>
+          <p class="page-intro">There is no project called "<span class="project-missing-id"></span>".</p>
+        </div>
+      `;
+      // The id comes from the URL, so it is set as text, never as markup
+      container.querySelector('.project-missing-id').textContent = projectId;
+      return;
+    }
+    
+    container.innerHTML = `
+      <div class="projects-page project-detail">
+        <a href="#projects" class="project-back">&larr; All projects</a>
+        <h2 class="page-title">${project.title}</h2>
+        <p class="page-intro">${project.description}</p>
+        
+        <div class="project-technologies">
+          ${(project.technologies || []).map(tech => 
+            `<span class="tech-badge">${tech}</span>`
+          ).join('')}
+        </div>
+        
+        ${project.features ? `
+          <ul class="project-features">
+            ${project.features.map(feature => `<li>${feature}</li>`).join('')}
+          </ul>
+        ` : ''}
+        
+        ${project.github ? `<a href="${project.github}" class="project-link" target="_blank" rel="noopener">View on GitHub</a>` : ''}
+        
+        ${project.readme ? `<pre class="project-readme">${project.readme.trim()}</pre>` : ''}
+      </div>
+    `;
+  },
+  
+  /**
+   * Load a project's configuration
+   * @private
+   * @param {string} projectId - Project folder name or project ID
+   * @returns {Promise<Object|null>} Project data, or null if unknown
+   */
+  async _loadProject(projectId) {
+    try {
+      const module = await import(`./${encodeURIComponent(projectId)}/project.js`);
+      return module.projectConfig || module.default;
+    } catch (error) {
+      // No project folder: fall back to the card data
+      return this.projects.find(project => project.id === projectId) || null;
+    }
+  },
+  
   /**
    * Render the projects page content
    * @param {HTMLElement} container - The container to render into
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Route Table
+ * 
+ * Maps locations to the page modules under `pages/`. Passed to the
+ * PageSystem by the engine on startup; see engine/core/router.js for the
+ * route definition format.
+ */
+
+/**
+ * Routing options for the PageSystem:
+ * - mode: 'hash' (`/#projects`) or 'history' (`/projects`). History mode
+ *   needs the host to serve index.html for deep links; on GitHub Pages the
+ *   404.html shim takes care of that. The shim reads this mode, and shows a
+ *   plain not-found page in hash mode.
+ * - transition: default page transition ('fade', 'crossfade', 'slide' or
+ *   'none'); a route can override it with `meta: { transition }`
+ * - cache: how many page modules the PageSystem keeps references to, and
+ *   whether a page object is reused between visits (`reuse: true`) or
+ *   created fresh for each one
+ */
+export const routing = {
+  mode: 'hash',
+  transition: { name: 'fade', duration: 200 },
+  cache: { size: 6, reuse: false }
+};
+
+export const routes = [
+  { path: '', redirect: 'home' },
+  { path: 'home', page: 'home' },
+  { path: 'about', page: 'about' },
+  {
+    path: 'projects',
+    page: 'projects',
+    children: [
+      // Project detail, e.g. #projects/Portfolio_Engine
+      { path: ':id', meta: { transition: 'slide' } }
+    ]
+  },
+  { path: 'learn', page: 'learn' },
+  { path: 'resume', page: 'resume' },
+  { path: 'vision', page: 'vision' },
+  { path: 'contact', page: 'contact' },
+  { path: 'engine-showcase', page: 'engine-showcase' },
+  { path: 'engine-status', page: 'engine-status' },
+  // Opened by dev mode and the error system; keeps `#devtools` in the URL
+  { path: 'devtools', page: 'engine-status' },
+  { path: '*', page: 'not-found', notFound: true }
+];
+
+export default routes;